@@ -90,6 +90,83 @@ CREATE TABLE IF NOT EXISTS streams (
 );
 CREATE INDEX IF NOT EXISTS idx_streams_activity ON streams(activity_id);
 
+-- Laps as recorded by the device (Strava /activities/{id}/laps), cached on first view
+CREATE TABLE IF NOT EXISTS laps (
+  activity_id     BIGINT REFERENCES activities(strava_id) ON DELETE CASCADE,
+  lap_index       INT NOT NULL,    -- 1-based, as Strava numbers them
+  name            VARCHAR(100),
+  start_index     INT,             -- sample range in the streams arrays
+  end_index       INT,
+  distance_m      FLOAT,
+  elapsed_time_s  INT,
+  moving_time_s   INT,
+  avg_speed_ms    FLOAT,
+  avg_heartrate   FLOAT,
+  max_heartrate   FLOAT,
+  avg_cadence     FLOAT,
+  avg_watts       FLOAT,
+  elevation_gain_m FLOAT,
+  PRIMARY KEY (activity_id, lap_index)
+);
+
+-- Fastest stretch of each standard distance inside a run (server/efforts.js)
+CREATE TABLE IF NOT EXISTS best_efforts (
+  activity_id     BIGINT REFERENCES activities(strava_id) ON DELETE CASCADE,
+  distance_key    VARCHAR(10) NOT NULL,   -- '400m' | '1k' | 'mile' | '5k' | '10k' | 'half' | 'marathon'
+  distance_m      FLOAT,
+  elapsed_s       FLOAT,
+  start_index     INT,                    -- sample range in the streams arrays
+  end_index       INT,
+  start_offset_s  INT,                    -- seconds into the activity
+  PRIMARY KEY (activity_id, distance_key)
+);
+
+-- Farthest distance covered in each fixed duration (2–20 min) inside a run,
+-- found by the same scan; points for the critical-speed fit
+CREATE TABLE IF NOT EXISTS duration_efforts (
+  activity_id     BIGINT REFERENCES activities(strava_id) ON DELETE CASCADE,
+  duration_s      INT NOT NULL,
+  distance_m      FLOAT,
+  start_index     INT,
+  end_index       INT,
+  start_offset_s  INT,
+  PRIMARY KEY (activity_id, duration_s)
+);
+
+-- PR history: each effort that beat every earlier one at its distance.
+-- Rebuilt from best_efforts whenever a scan adds or changes efforts.
+CREATE TABLE IF NOT EXISTS personal_records (
+  athlete_id      BIGINT REFERENCES athletes(strava_id) ON DELETE CASCADE,
+  distance_key    VARCHAR(10) NOT NULL,
+  activity_id     BIGINT REFERENCES activities(strava_id) ON DELETE CASCADE,
+  elapsed_s       FLOAT,
+  achieved_at     TIMESTAMPTZ,            -- the run's start_date_local (local time stored as UTC)
+  improvement_s   FLOAT,                  -- vs the previous PR; NULL for the first
+  PRIMARY KEY (athlete_id, distance_key, activity_id)
+);
+CREATE INDEX IF NOT EXISTS idx_personal_records_athlete ON personal_records(athlete_id, distance_key);
+
+-- Background sync jobs — one row per sync/reconcile request, resumed after a restart
+CREATE TABLE IF NOT EXISTS sync_jobs (
+  id            SERIAL PRIMARY KEY,
+  athlete_id    BIGINT REFERENCES athletes(strava_id) ON DELETE CASCADE,
+  kind          VARCHAR(20) NOT NULL DEFAULT 'sync',   -- 'sync' | 'reconcile' | 'derive'
+  status        VARCHAR(20) NOT NULL DEFAULT 'queued', -- queued | running | paused | done | failed
+  params        JSONB,        -- { after, started_at } for sync, { days } for reconcile
+  page          INT DEFAULT 0,  -- last fully processed page
+  pages_est     INT,            -- rough total, NULL when unknown
+  imported      INT DEFAULT 0,  -- runs imported (sync) / activities checked (reconcile) / updated (derive)
+  result        JSONB,
+  error         TEXT,
+  resume_at     TIMESTAMPTZ,    -- set while paused on Strava's daily limit
+  created_at    TIMESTAMPTZ DEFAULT NOW(),
+  started_at    TIMESTAMPTZ,
+  finished_at   TIMESTAMPTZ,
+  updated_at    TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_athlete ON sync_jobs(athlete_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_status  ON sync_jobs(status);
+
 -- ── Race Results (imported from Sporthive) ────────────────────────────────────
 
 -- One row per imported race
@@ -128,6 +205,26 @@ CREATE INDEX IF NOT EXISTS idx_finishers_bib      ON race_finishers(bib, race_ev
 CREATE INDEX IF NOT EXISTS idx_finishers_athlete  ON race_finishers(athlete_id);
 CREATE INDEX IF NOT EXISTS idx_finishers_agegroup ON race_finishers(age_group);
 
+-- Intermediate checkpoint times of each finisher (5K, 10K … mats)
+CREATE TABLE IF NOT EXISTS race_finisher_splits (
+  finisher_id    INT REFERENCES race_finishers(id) ON DELETE CASCADE,
+  race_event_id  INT REFERENCES race_events(id) ON DELETE CASCADE,
+  seq            INT NOT NULL,          -- 1-based, in course order
+  name           VARCHAR(50) NOT NULL,  -- checkpoint as the results label it
+  distance_m     FLOAT,                 -- read from the label when not given
+  split_s        INT NOT NULL,          -- elapsed time from the start
+  PRIMARY KEY (finisher_id, seq)
+);
+CREATE INDEX IF NOT EXISTS idx_finisher_splits_race ON race_finisher_splits(race_event_id, name);
+
+-- Section / row patterns for PDF results, saved per timing company
+-- (server/importers/pdf.js; built-in profiles live in the code)
+CREATE TABLE IF NOT EXISTS pdf_import_profiles (
+  name        VARCHAR(100) PRIMARY KEY,
+  config      JSONB NOT NULL,
+  updated_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Migration: add columns if they don't exist yet (safe to run on existing DB)
 ALTER TABLE athletes   ADD COLUMN IF NOT EXISTS email        VARCHAR(200);
 ALTER TABLE activities ADD COLUMN IF NOT EXISTS start_lat    FLOAT;
@@ -136,3 +233,62 @@ ALTER TABLE activities ADD COLUMN IF NOT EXISTS temp_c       FLOAT;
 ALTER TABLE activities ADD COLUMN IF NOT EXISTS humidity_pct INT;
 ALTER TABLE race_finishers ALTER COLUMN country_code TYPE VARCHAR(200);
 ALTER TABLE gear ADD COLUMN IF NOT EXISTS retired BOOLEAN DEFAULT FALSE;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'strava';  -- 'strava' | 'upload'
+-- Sport group from server/sports.js; rows from before non-runs were stored are all runs
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS sport     VARCHAR(10) DEFAULT 'run';  -- run | ride | hike | walk | other
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS avg_watts FLOAT;
+CREATE INDEX IF NOT EXISTS idx_activities_sport ON activities(athlete_id, sport);
+CREATE INDEX IF NOT EXISTS idx_activities_source ON activities(athlete_id, source);
+-- Uploaded files get negative strava_id values so they can never collide with
+-- (or be overwritten by) a real Strava activity ID
+CREATE SEQUENCE IF NOT EXISTS upload_activity_seq;
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS cadence      JSONB;  -- array of rpm (one foot; ×2 for spm)
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS latlng       JSONB;  -- array of [lat, lng]
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS grade_smooth JSONB;  -- array of percent grade
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS moving       JSONB;  -- array of booleans
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS temp         JSONB;  -- array of °C (device sensor)
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS watts        JSONB;  -- array of watts (nullable)
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS keys_version SMALLINT DEFAULT 1;  -- see STREAMS_VERSION in server/strava.js
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS laps_fetched_at TIMESTAMPTZ;  -- NULL until laps are cached (uploads never are)
+-- Training load (TRIMP) from server/load.js; recomputed whenever training_load_key
+-- (formula version + HR profile) no longer matches
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS training_load     FLOAT;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS training_load_src VARCHAR(10);  -- 'stream' | 'avg_hr' | NULL (no HR)
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS training_load_key VARCHAR(40);
+-- Heart-rate settings; NULL = use the default from server/zones.js
+ALTER TABLE athletes ADD COLUMN IF NOT EXISTS max_hr       SMALLINT;
+ALTER TABLE athletes ADD COLUMN IF NOT EXISTS resting_hr   SMALLINT;
+ALTER TABLE athletes ADD COLUMN IF NOT EXISTS threshold_hr SMALLINT;
+-- Seconds per HR zone from the cached HR stream; hr_zones_key works like training_load_key
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS hr_zone_s    JSONB;  -- [z1, z2, z3, z4, z5]
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS hr_zones_key VARCHAR(60);
+-- Aerobic decoupling (first vs second half speed/HR, %) from server/decoupling.js;
+-- recomputed while decoupling_v is below DECOUPLING_VERSION
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS decoupling_pct FLOAT;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS decoupling_v   SMALLINT;
+-- Grade-adjusted pace (server/gap.js); recomputed while gap_v is below GAP_VERSION
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS gap_speed_ms FLOAT;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS gap_ae_score FLOAT;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS gap_v        SMALLINT;
+-- Best-effort scan version (server/efforts.js); NULL or older = rescan
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS efforts_v SMALLINT;
+-- Course elevation gain for the race predictor (server/predictor.js); set by an admin
+ALTER TABLE race_events ADD COLUMN IF NOT EXISTS elevation_gain_m FLOAT;
+-- Net (chip) and gun time as the results give them, and whether the runner
+-- finished; chip_time_s stays the time the race is ranked by (net, else gun),
+-- set for finishers only.
+ALTER TABLE race_finishers ADD COLUMN IF NOT EXISTS net_time_s INT;
+ALTER TABLE race_finishers ADD COLUMN IF NOT EXISTS gun_time_s INT;
+-- Rows imported before status existed default to 'finished'; those without a
+-- time were non-finishers. The backfill runs once, in the boot that adds the
+-- column.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_schema=current_schema() AND table_name='race_finishers'
+                   AND column_name='status') THEN
+    ALTER TABLE race_finishers ADD COLUMN status VARCHAR(10) NOT NULL DEFAULT 'finished';  -- finished | dnf | dns | dq
+    UPDATE race_finishers SET status='dnf' WHERE chip_time_s IS NULL;
+  END IF;
+END $$;
+CREATE INDEX IF NOT EXISTS idx_finishers_status ON race_finishers(race_event_id, status);
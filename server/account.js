@@ -0,0 +1,143 @@
+// server/account.js — Account export ("download my data") and deletion
+// The archive is built from our own cache, never from Strava: JSON for every
+// table row tied to the athlete, plus one GPX per activity with a GPS track
+// (streams JSON for the rest). Deletion revokes the Strava token and removes
+// the athletes row; everything else goes with it via the schema's cascades.
+const fetch = require('node-fetch');
+const { query, queryOne } = require('../db/client');
+const { refreshTokenIfNeeded, forgetGear } = require('./strava');
+const { toGpx, exportFilename } = require('./export');
+const { ZipWriter } = require('./zip');
+
+// Never leaves the server, not even in the athlete's own export
+const PRIVATE_ATHLETE_COLUMNS = ['access_token', 'refresh_token', 'token_expires_at'];
+
+function json(v) { return JSON.stringify(v, null, 2); }
+
+// ── Export ────────────────────────────────────────────────────────────────────
+// Writes the ZIP to `out` (an Express response). Streams rows are loaded one
+// activity at a time so memory stays flat however long the history is.
+async function writeAccountArchive(athleteId, out) {
+  const athlete = await queryOne(`SELECT * FROM athletes WHERE strava_id=$1`, [athleteId]);
+  if (!athlete) throw new Error('Athlete not found');
+  for (const k of PRIVATE_ATHLETE_COLUMNS) delete athlete[k];
+
+  const activities = await query(
+    `SELECT * FROM activities WHERE athlete_id=$1 ORDER BY start_date`, [athleteId]
+  );
+  const gear = await query(`SELECT * FROM gear WHERE athlete_id=$1`, [athleteId]);
+  const laps = await query(`
+    SELECT l.* FROM laps l JOIN activities a ON a.strava_id = l.activity_id
+    WHERE a.athlete_id=$1 ORDER BY l.activity_id, l.lap_index
+  `, [athleteId]);
+  const bestEfforts = await query(`
+    SELECT e.* FROM best_efforts e JOIN activities a ON a.strava_id = e.activity_id
+    WHERE a.athlete_id=$1 ORDER BY e.activity_id, e.distance_m
+  `, [athleteId]);
+  const durationEfforts = await query(`
+    SELECT e.* FROM duration_efforts e JOIN activities a ON a.strava_id = e.activity_id
+    WHERE a.athlete_id=$1 ORDER BY e.activity_id, e.duration_s
+  `, [athleteId]);
+  const records = await query(
+    `SELECT * FROM personal_records WHERE athlete_id=$1 ORDER BY distance_key, achieved_at`, [athleteId]
+  );
+  const raceResults = await query(`
+    SELECT rf.*, re.event_name, re.race_name, re.event_date, re.distance_m, re.location
+    FROM race_finishers rf JOIN race_events re ON re.id = rf.race_event_id
+    WHERE rf.athlete_id=$1 ORDER BY re.event_date
+  `, [athleteId]);
+
+  const zip = new ZipWriter(out);
+  await zip.add('README.txt', [
+    `Senén Strava Visualizer — data export for athlete ${athleteId}`,
+    `Created ${new Date().toISOString()}`,
+    '',
+    'athlete.json        profile (OAuth tokens omitted)',
+    'activities.json     every cached activity',
+    'gear.json           shoes / bikes',
+    'laps.json           cached device laps',
+    'best_efforts.json   fastest 400 m … marathon inside each run',
+    'duration_efforts.json  farthest 2–20 min stretches inside each run',
+    'personal_records.json  PR history per distance',
+    'race_results.json   race results you claimed',
+    'activities/         one GPX per activity with a GPS track; streams JSON',
+    '                    for the rest. Activities whose streams were never',
+    '                    viewed have no file here — only their summary above.',
+    '',
+  ].join('\n'));
+  await zip.add('athlete.json', json(athlete));
+  await zip.add('activities.json', json(activities));
+  await zip.add('gear.json', json(gear));
+  await zip.add('laps.json', json(laps));
+  await zip.add('best_efforts.json', json(bestEfforts));
+  await zip.add('duration_efforts.json', json(durationEfforts));
+  await zip.add('personal_records.json', json(records));
+  await zip.add('race_results.json', json(raceResults));
+
+  const used = new Set();
+  for (const act of activities) {
+    const streams = await queryOne(`SELECT * FROM streams WHERE activity_id=$1`, [act.strava_id]);
+    if (!streams) continue;
+    const hasGps = Array.isArray(streams.latlng) && streams.latlng.some(Boolean);
+    // Same-day activities with the same name would otherwise collide
+    let name = exportFilename(act, hasGps ? 'gpx' : 'json');
+    if (used.has(name)) name = name.replace(/(\.\w+)$/, `-${act.strava_id}$1`);
+    used.add(name);
+    const mtime = new Date(act.start_date);
+    if (hasGps) {
+      await zip.add(`activities/${name}`, toGpx(act, streams), mtime);
+    } else {
+      const { id, activity_id, fetched_at, keys_version, ...data } = streams;
+      await zip.add(`activities/${name}`, json({ activity_id, ...data }), mtime);
+    }
+  }
+  await zip.finish();
+}
+
+// ── Deletion ──────────────────────────────────────────────────────────────────
+
+// Tell Strava to revoke our token. Best effort: if the athlete already revoked
+// access on strava.com the call fails, and we delete their data regardless.
+async function revokeStravaAccess(athlete) {
+  try {
+    const token = await refreshTokenIfNeeded(athlete);
+    const res = await fetch('https://www.strava.com/oauth/deauthorize', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: 10000,
+    });
+    if (!res.ok) console.warn(`Strava deauthorize for ${athlete.strava_id} → ${res.status}`);
+    return res.ok;
+  } catch (e) {
+    console.warn(`Strava deauthorize for ${athlete.strava_id} failed: ${e.message}`);
+    return false;
+  }
+}
+
+// Removes the athlete and everything tied to them. Activities (and their
+// streams and laps), gear and sync jobs cascade; claimed race_finishers rows
+// stay in the race results but lose their athlete link (ON DELETE SET NULL).
+// Login sessions are dropped too so a stale cookie can't hit a missing row,
+// and so is the in-memory gear cache (server/strava.js).
+async function deleteAthleteData(athleteId) {
+  const counts = await queryOne(`
+    SELECT
+      (SELECT COUNT(*) FROM activities WHERE athlete_id=$1)::int     AS activities,
+      (SELECT COUNT(*) FROM gear WHERE athlete_id=$1)::int           AS gear,
+      (SELECT COUNT(*) FROM race_finishers WHERE athlete_id=$1)::int AS race_results
+  `, [athleteId]);
+  await query(`DELETE FROM athletes WHERE strava_id=$1`, [athleteId]);
+  await query(`DELETE FROM session WHERE (sess->>'athleteId') = $1`, [String(athleteId)]);
+  forgetGear(athleteId);
+  return counts;
+}
+
+// The self-service flow: revoke on Strava, then delete here
+async function deleteAccount(athlete) {
+  const revoked = await revokeStravaAccess(athlete);
+  const removed = await deleteAthleteData(athlete.strava_id);
+  console.log(`Account ${athlete.strava_id} deleted (Strava revoke ${revoked ? 'ok' : 'failed'})`, removed);
+  return { revoked, removed };
+}
+
+module.exports = { writeAccountArchive, deleteAccount, deleteAthleteData, revokeStravaAccess };
@@ -0,0 +1,142 @@
+// server/agegrade.js — WMA-style age grading of race results and best efforts
+// An age grade compares a time with the best any runner of that age and sex
+// could be expected to do over the distance:
+//   age-graded time = time × age factor
+//   age grade %     = open-class standard ÷ age-graded time × 100
+// so ~100% is world-record level, 80%+ national class, 60% a good club runner,
+// whatever your age.
+//
+// The tables below are a simplified WMA road table: one age-factor curve per
+// sex (the real tables vary a little by distance) and open-class standards
+// for the mile … marathon, interpolated on log-time vs log-distance. Grades
+// land within about a point of the official calculators, which is as close as
+// an age-group bracket lets us know a finisher's age anyway.
+
+// Open-class standards (seconds)
+const OPEN_STANDARDS = {
+  M: [[1609.344, 227], [5000, 769], [10000, 1603], [21097.5, 3503], [42195, 7377]],
+  F: [[1609.344, 252], [5000, 845], [10000, 1775], [21097.5, 3896], [42195, 8125]],
+};
+
+// Age factors at [age, factor]; linear in between, clamped at the ends
+const AGE_FACTORS = {
+  M: [[10, 0.80], [12, 0.87], [14, 0.93], [16, 0.97], [18, 0.99], [20, 1], [30, 1],
+      [35, 0.981], [40, 0.952], [45, 0.922], [50, 0.893], [55, 0.863], [60, 0.834],
+      [65, 0.804], [70, 0.775], [75, 0.741], [80, 0.695], [85, 0.640], [90, 0.575],
+      [95, 0.500], [100, 0.420]],
+  F: [[10, 0.82], [12, 0.88], [14, 0.94], [16, 0.97], [18, 0.99], [20, 1], [30, 1],
+      [35, 0.985], [40, 0.950], [45, 0.912], [50, 0.873], [55, 0.835], [60, 0.797],
+      [65, 0.758], [70, 0.717], [75, 0.668], [80, 0.615], [85, 0.553], [90, 0.484],
+      [95, 0.410], [100, 0.330]],
+};
+
+// Age assumed for open / senior categories that carry no age range
+const OPEN_AGE = 30;
+
+// ── Tables ────────────────────────────────────────────────────────────────────
+
+function ageFactor(sex, age) {
+  const t = AGE_FACTORS[sex];
+  if (!t || !(age > 0)) return null;
+  if (age <= t[0][0]) return t[0][1];
+  for (let i = 1; i < t.length; i++) {
+    const [a1, f1] = t[i];
+    if (age <= a1) {
+      const [a0, f0] = t[i - 1];
+      return f0 + (f1 - f0) * (age - a0) / (a1 - a0);
+    }
+  }
+  return t[t.length - 1][1];
+}
+
+// Open-class time for a distance; null outside the mile … marathon range,
+// where road standards don't apply
+function openStandard(sex, distM) {
+  const t = OPEN_STANDARDS[sex];
+  if (!t || !(distM >= t[0][0] * 0.98) || distM > t[t.length - 1][0] * 1.02) return null;
+  for (let i = 1; i < t.length; i++) {
+    const [d1, s1] = t[i];
+    if (distM <= d1 || i === t.length - 1) {
+      const [d0, s0] = t[i - 1];
+      const k = Math.log(s1 / s0) / Math.log(d1 / d0);
+      return s0 * Math.pow(distM / d0, k);
+    }
+  }
+  return null;
+}
+
+// { factor, graded_s, pct } or null when sex, age or distance isn't gradable
+function ageGrade({ sex, age, distM, timeS }) {
+  const factor = ageFactor(sex, age);
+  const standard = openStandard(sex, distM);
+  if (factor == null || standard == null || !(timeS > 0)) return null;
+  const graded = timeS * factor;
+  return {
+    factor:   +factor.toFixed(4),
+    graded_s: Math.round(graded),
+    pct:      +(standard / graded * 100).toFixed(1),
+  };
+}
+
+function ageOn(birthdate, at) {
+  if (!birthdate || !at) return null;
+  return (new Date(at).getTime() - new Date(birthdate).getTime()) / (365.25 * 86400000);
+}
+
+// ── Finishers ─────────────────────────────────────────────────────────────────
+// Timing providers name age groups every way imaginable: "M3539", "F 40-44",
+// "Male 50-59", "M70+", "M40", "U20", "FSR", "Open". Returns { sex, age }
+// using the middle of the bracket, or null fields where the group doesn't say.
+function parseAgeGroup(ageGroup, gender) {
+  const g = String(ageGroup || '').trim().toUpperCase();
+  let sex = gender === 1 ? 'M' : gender === 2 ? 'F' : null;
+  if (!sex) {
+    const m = g.match(/^(FEMALE|WOMEN|MALE|MEN|[MFW])/);
+    if (m) sex = m[1] === 'M' || m[1] === 'MALE' || m[1] === 'MEN' ? 'M' : 'F';
+  }
+
+  let age = null, m;
+  if ((m = g.match(/(\d{2})\s*[-–\/]?\s*(\d{2})(?!\d)/))) {
+    age = (parseInt(m[1]) + parseInt(m[2])) / 2;
+  } else if ((m = g.match(/(\d{2})\s*(\+|&\s*OVER|AND\s*OVER|PLUS)/))) {
+    age = parseInt(m[1]) + 2;
+  } else if ((m = g.match(/(?:^|[^A-Z])(?:U|UNDER\s*)(\d{2})/)) || (m = g.match(/^[MFW]?U(\d{2})/))) {
+    age = parseInt(m[1]) - 2;
+  } else if ((m = g.match(/(\d{2})/))) {
+    age = parseInt(m[1]) + 2;   // "M40": the bracket that starts at 40
+  } else if (/SR|SEN|OPEN|ELITE/.test(g)) {
+    age = OPEN_AGE;
+  }
+  return { sex, age };
+}
+
+// Adds age_grade_pct / age_graded_s to each finisher row of one race.
+// `distM` is the race distance; rows need gender, age_group and chip_time_s.
+function gradeFinishers(rows, distM) {
+  return rows.map(r => {
+    const { sex, age } = parseAgeGroup(r.age_group, r.gender);
+    const g = ageGrade({ sex, age, distM, timeS: r.chip_time_s });
+    return { ...r, age_grade_pct: g?.pct ?? null, age_graded_s: g?.graded_s ?? null };
+  });
+}
+
+// Best age grade first; finishers we couldn't grade go last in finish order
+function rankByAgeGrade(rows) {
+  const ranked = [...rows].sort((a, b) =>
+    (b.age_grade_pct ?? -1) - (a.age_grade_pct ?? -1) ||
+    (a.overall_rank ?? Infinity) - (b.overall_rank ?? Infinity));
+  let rank = 0;
+  return ranked.map(r => ({ ...r, age_graded_rank: r.age_grade_pct != null ? ++rank : null }));
+}
+
+// ── Athletes ──────────────────────────────────────────────────────────────────
+// For our own athletes we know the real sex and birthdate (profile setup), so
+// their grades use their exact age on the day rather than an age group.
+function athleteGrade(athlete, distM, timeS, date) {
+  if (!athlete?.sex || !athlete?.birthdate) return null;
+  return ageGrade({ sex: athlete.sex, age: ageOn(athlete.birthdate, date), distM, timeS });
+}
+
+module.exports = {
+  ageFactor, openStandard, ageGrade, parseAgeGroup, gradeFinishers, rankByAgeGrade, athleteGrade,
+};
@@ -0,0 +1,105 @@
+// server/analysis.js — Per-activity analysis computed from cached streams
+// Everything here is pure: callers load the streams row (getStreams) and, for
+// laps, the laps rows (getLaps), and get plain objects back.
+
+const { aeScore } = require('./sports');
+
+const SPLIT_UNITS = { km: 1000, mi: 1609.344 };
+
+// A trailing partial split shorter than this is dropped — GPS usually adds a
+// few metres after the watch is stopped
+const MIN_PARTIAL_M = 50;
+
+function arr(a) { return Array.isArray(a) && a.length ? a : null; }
+
+// Totals over samples (from, to]. HR is time-weighted so irregular sample
+// spacing (smart recording) doesn't skew it.
+function rangeStats(streams, from, to) {
+  const t = streams.time_s, hr = arr(streams.heartrate), alt = arr(streams.altitude_m);
+  const moving = arr(streams.moving);
+  let movingS = 0, hrSum = 0, hrS = 0, gain = 0;
+  for (let i = from + 1; i <= to; i++) {
+    const dt = t[i] - t[i - 1];
+    if (!(dt > 0)) continue;
+    if (!moving || moving[i]) movingS += dt;
+    if (hr && hr[i] > 0) { hrSum += hr[i] * dt; hrS += dt; }
+    if (alt && alt[i] != null && alt[i - 1] != null && alt[i] > alt[i - 1]) gain += alt[i] - alt[i - 1];
+  }
+  return {
+    movingS,
+    avgHr: hrS ? hrSum / hrS : null,
+    gainM: alt ? gain : null,
+  };
+}
+
+function splitRow(index, distM, elapsedS, stats) {
+  const movingS = stats.movingS || elapsedS;
+  const speed = movingS > 0 ? distM / movingS : null;
+  return {
+    index,
+    distance_m:       Math.round(distM * 10) / 10,
+    elapsed_time_s:   Math.round(elapsedS),
+    moving_time_s:    Math.round(movingS),
+    avg_speed_ms:     speed != null ? parseFloat(speed.toFixed(3)) : null,
+    avg_heartrate:    stats.avgHr != null ? Math.round(stats.avgHr * 10) / 10 : null,
+    elevation_gain_m: stats.gainM != null ? Math.round(stats.gainM * 10) / 10 : null,
+    ae_score:         aeScore(speed, stats.avgHr),
+  };
+}
+
+// ── Auto splits ───────────────────────────────────────────────────────────────
+// Every `unit` ('km' | 'mi') of the distance stream. Split boundaries fall
+// between samples, so the elapsed time at each boundary is interpolated;
+// moving time, HR and elevation gain use the samples inside the split.
+function computeSplits(streams, unit = 'mi') {
+  const unitM = SPLIT_UNITS[unit] || SPLIT_UNITS.mi;
+  const d = arr(streams.distance_m), t = arr(streams.time_s);
+  if (!d || !t) return [];
+
+  const splits = [];
+  let startIdx = 0, startT = t[0], startD = d[0];
+  let boundary = d[0] + unitM;
+
+  for (let i = 1; i < d.length; i++) {
+    while (d[i] >= boundary) {
+      const span = d[i] - d[i - 1];
+      const frac = span > 0 ? (boundary - d[i - 1]) / span : 1;
+      const endT = t[i - 1] + frac * (t[i] - t[i - 1]);
+      splits.push(splitRow(splits.length + 1, unitM, endT - startT, rangeStats(streams, startIdx, i)));
+      startIdx = i; startT = endT; startD = boundary;
+      boundary += unitM;
+    }
+  }
+
+  const restM = d[d.length - 1] - startD;
+  if (restM >= MIN_PARTIAL_M) {
+    splits.push(splitRow(splits.length + 1, restM, t[t.length - 1] - startT,
+      rangeStats(streams, startIdx, d.length - 1)));
+  }
+  return splits;
+}
+
+// ── Laps ──────────────────────────────────────────────────────────────────────
+// Strava's lap summary plus the same derived columns as the auto splits.
+// Elevation gain prefers Strava's figure; AE uses the lap's own averages.
+function lapSplits(laps, streams) {
+  const n = arr(streams?.time_s)?.length || 0;
+  return laps.map(l => {
+    const inRange = n && l.start_index != null && l.end_index != null && l.end_index < n;
+    const stats = inRange ? rangeStats(streams, l.start_index, l.end_index) : {};
+    const avgHr = l.avg_heartrate ?? stats.avgHr ?? null;
+    return {
+      index:            l.lap_index,
+      name:             l.name,
+      distance_m:       l.distance_m,
+      elapsed_time_s:   l.elapsed_time_s,
+      moving_time_s:    l.moving_time_s,
+      avg_speed_ms:     l.avg_speed_ms,
+      avg_heartrate:    avgHr,
+      elevation_gain_m: l.elevation_gain_m ?? (stats.gainM != null ? Math.round(stats.gainM * 10) / 10 : null),
+      ae_score:         aeScore(l.avg_speed_ms, avgHr),
+    };
+  });
+}
+
+module.exports = { computeSplits, lapSplits, SPLIT_UNITS };
@@ -0,0 +1,125 @@
+// server/analytics.js — Aggregates for the Analytics screen, in SQL
+// Everything here runs over the athlete's whole history rather than the
+// activity list the browser holds. Every function takes the activity list's
+// filter params (server/filters.js) plus:
+//   sport      defaults to 'run' here; 'all' for every sport
+//   adjusted   'heat' — speed and AE are heat-adjusted (server/heat.js); runs
+//              only, so other sports drop out of those averages
+// Averages skip missing and zero values, as the client-side ones did.
+const { query } = require('../db/client');
+const { buildActivityFilter, WORKOUT_TYPE_GROUPS } = require('./filters');
+const { heatSumSql, heatFactorSql } = require('./heat');
+
+const PERIOD_UNITS = ['week', 'month', 'year'];
+
+// Workout-type group of each activity, from the same conditions as the filter
+const WORKOUT_TYPE_SQL = `CASE ${Object.entries(WORKOUT_TYPE_GROUPS)
+  .map(([k, cond]) => `WHEN ${cond} THEN '${k}'`).join(' ')} END`;
+
+// Extra columns for each `group` of totalsByPeriod
+const GROUPS = {
+  shoe:  ['a.gear_id', 'a.gear_name', 'a.gear_retired'],
+  type:  [`${WORKOUT_TYPE_SQL} AS workout_type_group`],
+  sport: ['a.sport'],
+};
+
+// Totals and averages shared by every query, over `acts` aliased as `a`
+const TOTALS = `
+  COUNT(a.strava_id)::int                           AS activities,
+  COALESCE(SUM(a.distance_m), 0)::float             AS distance_m,
+  COALESCE(SUM(a.moving_time_s), 0)::int            AS moving_time_s,
+  COALESCE(SUM(a.total_elevation_m), 0)::float      AS elevation_m,
+  AVG(a.ae) FILTER (WHERE a.ae > 0)::float          AS avg_ae,
+  AVG(a.speed) FILTER (WHERE a.speed > 0)::float    AS avg_speed_ms`;
+
+// `WITH acts AS (…)` — the filtered activities with `speed` and `ae` columns
+// (raw or heat-adjusted) and gear. Returns { sql, params } to append to.
+function activitiesCte(athleteId, q = {}) {
+  const f = { sport: 'run', ...q };
+  if (f.sport === 'all') delete f.sport;
+  const { where, params } = buildActivityFilter(athleteId, f);
+  // Heat-adjusted values exist for runs only; other sports get NULL speed/AE
+  const factor = q.adjusted === 'heat' ? `CASE WHEN b.sport = 'run' THEN ${heatFactorSql('b.heat_sum_f')} END` : '1';
+  const sql = `
+    WITH base AS (
+      SELECT a.*, g.name AS gear_name, COALESCE(g.retired, FALSE) AS gear_retired,
+             ${heatSumSql('a.temp_c', 'a.humidity_pct')} AS heat_sum_f
+      FROM activities a
+      LEFT JOIN gear g ON g.strava_id = a.gear_id
+      WHERE ${where}
+    ), acts AS (
+      SELECT b.*, b.avg_speed_ms * k.f AS speed, b.ae_score * k.f AS ae
+      FROM base b CROSS JOIN LATERAL (SELECT ${factor} AS f) k
+    )`;
+  return { sql, params };
+}
+
+// ── Period comparison ─────────────────────────────────────────────────────────
+// The AE and speed cards: the last 30 days against the 3 months and 12 months
+// before them. (Threshold pace comes from server/critical-speed.js.)
+async function periodComparison(athleteId, q) {
+  const { sql, params } = activitiesCte(athleteId, q);
+  const rows = await query(`${sql},
+    windows (name, from_ts, to_ts) AS (VALUES
+      ('this_month',    NOW() - INTERVAL '30 days',                       'infinity'::timestamptz),
+      ('last_3_months', NOW() - INTERVAL '30 days' - INTERVAL '3 months', NOW() - INTERVAL '30 days'),
+      ('last_year',     NOW() - INTERVAL '30 days' - INTERVAL '1 year',   NOW() - INTERVAL '30 days')
+    )
+    SELECT w.name, ${TOTALS}
+    FROM windows w
+    LEFT JOIN acts a ON a.start_date_local >= w.from_ts AND a.start_date_local < w.to_ts
+    GROUP BY w.name
+  `, params);
+  const periods = {};
+  for (const { name, ...r } of rows) periods[name] = r;
+  return { periods };
+}
+
+// ── By period ─────────────────────────────────────────────────────────────────
+// Totals per week (starting Monday), month or year of start_date_local.
+// `group` splits each period by shoe, workout type or sport; periods with no
+// activities are left out.
+async function totalsByPeriod(athleteId, q) {
+  const unit = PERIOD_UNITS.includes(q.period) ? q.period : 'week';
+  const group = GROUPS[q.group] || null;
+  const { sql, params } = activitiesCte(athleteId, q);
+  params.push(unit);
+  const cols = group || [];
+  const rows = await query(`${sql}
+    SELECT to_char(date_trunc($${params.length}, a.start_date_local AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS period,
+           ${cols.map(c => c + ',').join(' ')} ${TOTALS}
+    FROM acts a
+    GROUP BY ${[1, ...cols.map((c, i) => i + 2)].join(', ')}
+    ORDER BY 1
+  `, params);
+  return { period: unit, group: group ? q.group : null, rows };
+}
+
+// ── By shoe / workout type ────────────────────────────────────────────────────
+
+// Lifetime totals per shoe, with the first and last run in it
+async function totalsByShoe(athleteId, q) {
+  const { sql, params } = activitiesCte(athleteId, q);
+  return query(`${sql}
+    SELECT a.gear_id, a.gear_name, a.gear_retired, ${TOTALS},
+           to_char(MIN(a.start_date_local) AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS first_date,
+           to_char(MAX(a.start_date_local) AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS last_date
+    FROM acts a
+    WHERE a.gear_id IS NOT NULL
+    GROUP BY a.gear_id, a.gear_name, a.gear_retired
+    ORDER BY avg_ae DESC NULLS LAST
+  `, params);
+}
+
+// Totals per workout-type group (race / workout / run, as in the picker)
+async function totalsByWorkoutType(athleteId, q) {
+  const { sql, params } = activitiesCte(athleteId, q);
+  return query(`${sql}
+    SELECT ${WORKOUT_TYPE_SQL} AS workout_type_group, ${TOTALS}
+    FROM acts a
+    GROUP BY 1
+    ORDER BY activities DESC
+  `, params);
+}
+
+module.exports = { periodComparison, totalsByPeriod, totalsByShoe, totalsByWorkoutType, PERIOD_UNITS };
@@ -0,0 +1,100 @@
+// server/critical-speed.js — Critical speed and threshold pace from best efforts
+// The two-parameter critical-speed model says the farthest you can run in
+// time t is
+//   d = CS · t + D′
+// CS (critical speed) is the fastest pace you can sustain without running
+// out of anaerobic reserve — close to lactate-threshold / ~40-minute race
+// pace, and what the Analytics screen calls threshold pace. D′ is the reserve
+// itself, in metres you can run above CS.
+//
+// Points are the athlete's duration_efforts (server/efforts.js): the farthest
+// distance covered in 2–20 minutes inside any run with cached streams. For
+// each duration only the best in the last WINDOW_DAYS counts, and CS/D′ are
+// the least-squares line through those points. Training runs are rarely
+// all-out, so the fit is only as good as the hardest efforts in the window;
+// `quality` flags fits with too few points or an implausible D′.
+const { query } = require('../db/client');
+const { EFFORT_DURATIONS } = require('./efforts');
+
+const WINDOW_DAYS = 90;
+const MIN_POINTS = 3;
+const D_PRIME_RANGE = [50, 500];   // metres; outside this the fit is suspect
+const SERIES_STEP_DAYS = 7;
+
+const DAY_MS = 86400000;
+
+// ── Fit ───────────────────────────────────────────────────────────────────────
+
+// Pure: least squares d = cs·t + dPrime over [{ duration_s, distance_m }]
+function fitCriticalSpeed(points) {
+  const n = points.length;
+  if (n < 2) return null;
+  const mt = points.reduce((s, p) => s + p.duration_s, 0) / n;
+  const md = points.reduce((s, p) => s + p.distance_m, 0) / n;
+  let stt = 0, std = 0, sdd = 0;
+  for (const p of points) {
+    stt += (p.duration_s - mt) ** 2;
+    std += (p.duration_s - mt) * (p.distance_m - md);
+    sdd += (p.distance_m - md) ** 2;
+  }
+  if (!stt) return null;
+  const cs = std / stt;
+  if (!(cs > 0)) return null;
+  const dPrime = md - cs * mt;
+  const quality = n >= MIN_POINTS && dPrime >= D_PRIME_RANGE[0] && dPrime <= D_PRIME_RANGE[1] ? 'good' : 'low';
+  return {
+    cs_ms:     +cs.toFixed(3),
+    d_prime_m: Math.round(dPrime),
+    r2:        sdd ? +(std * std / (stt * sdd)).toFixed(4) : null,
+    n,
+    quality,
+  };
+}
+
+// Best effort per duration among `efforts` dated in (end − WINDOW_DAYS, end]
+function windowPoints(efforts, endMs) {
+  const from = endMs - WINDOW_DAYS * DAY_MS;
+  const best = new Map();
+  for (const e of efforts) {
+    if (e.ts <= from || e.ts > endMs) continue;
+    const b = best.get(e.duration_s);
+    if (!b || e.distance_m > b.distance_m) best.set(e.duration_s, e);
+  }
+  return EFFORT_DURATIONS.filter(d => best.has(d)).map(d => best.get(d));
+}
+
+// ── Estimate + history ────────────────────────────────────────────────────────
+// { window_days, current: { date, …fit, points }, series: [{ date, …fit }] } —
+// the series has one fit per week over the last `days` days (0 = all history)
+async function criticalSpeed(athleteId, { days = 365 } = {}) {
+  const rows = await query(`
+    SELECT d.duration_s, d.distance_m, d.activity_id, a.name,
+           to_char(a.start_date_local AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS date
+    FROM duration_efforts d JOIN activities a ON a.strava_id = d.activity_id
+    WHERE a.athlete_id=$1
+    ORDER BY a.start_date_local
+  `, [athleteId]);
+  const efforts = rows.map(r => ({ ...r, ts: Date.parse(r.date + 'T00:00:00Z') }));
+
+  const today = Date.parse(new Date().toISOString().slice(0, 10) + 'T00:00:00Z');
+  const points = windowPoints(efforts, today);
+  const fit = fitCriticalSpeed(points);
+  const current = fit && {
+    date: new Date(today).toISOString().slice(0, 10),
+    ...fit,
+    points: points.map(({ ts, ...p }) => ({ ...p, speed_ms: +(p.distance_m / p.duration_s).toFixed(3) })),
+  };
+
+  const series = [];
+  if (efforts.length) {
+    const first = Math.max(efforts[0].ts, days ? today - days * DAY_MS : -Infinity);
+    for (let end = today; end >= first; end -= SERIES_STEP_DAYS * DAY_MS) {
+      const f = fitCriticalSpeed(windowPoints(efforts, end));
+      if (f) series.push({ date: new Date(end).toISOString().slice(0, 10), ...f });
+    }
+    series.reverse();
+  }
+  return { window_days: WINDOW_DAYS, durations: EFFORT_DURATIONS, current, series };
+}
+
+module.exports = { criticalSpeed, fitCriticalSpeed };
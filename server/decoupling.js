@@ -0,0 +1,61 @@
+// server/decoupling.js — Aerobic decoupling (cardiac drift) per run
+// ae_score is one whole-run speed/HR ratio; decoupling compares that ratio
+// between the two halves of the run, after a warm-up:
+//   EF = speed (m/s) / HR           for each half, by moving time
+//   decoupling % = (EF₁ − EF₂) / EF₁ × 100
+// Positive means HR drifted up (or pace dropped) for the same effort; under
+// ~5% on a long steady run is the usual mark of good aerobic durability.
+// Only runs with a cached HR stream get a value.
+
+const WARMUP_S        = 600;   // first 10 min of moving time are skipped
+const MIN_STEADY_S    = 1200;  // need 20 min after the warm-up to say anything
+const MIN_HR_COVERAGE = 0.8;   // share of each half that must have HR
+const MAX_GAP_S       = 30;    // longer gaps between samples are pauses, not effort
+
+// Bump when the method changes so stored values are recomputed
+const DECOUPLING_VERSION = 1;
+
+function arr(a) { return Array.isArray(a) && a.length ? a : null; }
+
+// Pure: decoupling % from a streams row, or null when the run is too short or
+// the HR stream too patchy
+function aerobicDecoupling(streams) {
+  const t = arr(streams.time_s), d = arr(streams.distance_m), hr = arr(streams.heartrate);
+  if (!t || !d || !hr) return null;
+  const moving = arr(streams.moving);
+
+  // Walk the samples on a moving-time clock so stops don't shift the midpoint
+  const steps = [];
+  let clock = 0;
+  for (let i = 1; i < t.length; i++) {
+    const dt = t[i] - t[i - 1];
+    if (!(dt > 0) || dt > MAX_GAP_S) continue;
+    if (moving && moving[i] === false) continue;
+    clock += dt;
+    steps.push({ at: clock, dt, dd: Math.max((d[i] ?? 0) - (d[i - 1] ?? 0), 0), hr: hr[i] });
+  }
+  const steady = clock - WARMUP_S;
+  if (steady < MIN_STEADY_S) return null;
+
+  const mid = WARMUP_S + steady / 2;
+  const halves = [0, 1].map(() => ({ s: 0, m: 0, hrSum: 0, hrS: 0 }));
+  for (const st of steps) {
+    if (st.at <= WARMUP_S) continue;
+    const h = halves[st.at <= mid ? 0 : 1];
+    h.s += st.dt; h.m += st.dd;
+    if (st.hr > 0) { h.hrSum += st.hr * st.dt; h.hrS += st.dt; }
+  }
+  if (halves.some(h => !h.s || h.hrS / h.s < MIN_HR_COVERAGE || !h.m)) return null;
+
+  const [ef1, ef2] = halves.map(h => (h.m / h.s) / (h.hrSum / h.hrS));
+  return Math.round((ef1 - ef2) / ef1 * 1000) / 10;
+}
+
+// ── Stored value ──────────────────────────────────────────────────────────────
+// activities.decoupling_pct is written by server/derived.js
+
+function decouplingOf(sport, streams) {
+  return sport === 'run' && streams ? aerobicDecoupling(streams) : null;
+}
+
+module.exports = { aerobicDecoupling, decouplingOf, DECOUPLING_VERSION };
@@ -0,0 +1,125 @@
+// server/derived.js — Stream-derived per-activity values
+// Decoupling (decoupling.js), GAP (gap.js), best and duration efforts
+// (efforts.js), time in HR zones (zones.js) and training load (load.js) all
+// come from an activity's cached streams. They're computed in one place:
+//   - when streams are written (refreshStreams, file uploads), and
+//   - by the 'derive' job (server/jobs.js) for rows whose stored values are
+//     out of date — a *_VERSION bump, an edit that cleared a key in
+//     upsertActivity, or HR settings that moved the zone bounds or the TRIMP
+//     profile.
+// Everything that reads these columns only reads them.
+const { query, queryOne } = require('../db/client');
+const { decouplingOf, DECOUPLING_VERSION } = require('./decoupling');
+const { gapSummary, GAP_VERSION } = require('./gap');
+const { bestEfforts, durationEfforts, storeEfforts, rebuildRecords, EFFORTS_VERSION } = require('./efforts');
+const { getHrSettings, zoneBounds, zonesKey, timeInZones } = require('./zones');
+const { hrProfile, profileKey, trimpOf } = require('./load');
+
+const ACTIVITY_COLS = 'strava_id, sport, moving_time_s, avg_heartrate, avg_speed_ms';
+const STREAM_COLS   = 'time_s, distance_m, altitude_m, heartrate, moving';
+
+// Zone bounds and HR profile the stored values are keyed on
+async function derivedContext(athlete) {
+  const bounds  = zoneBounds(await getHrSettings(athlete));
+  const profile = await hrProfile(athlete);
+  return { bounds, zonesKey: zonesKey(bounds), profile, loadKey: profileKey(profile) };
+}
+
+// Computes and stores every derived value for one activity. `streams` may be
+// null (nothing cached): load falls back to average HR, the rest are cleared.
+async function deriveActivity(act, streams, ctx) {
+  const isRun = act.sport === 'run';
+  const gap = gapSummary(act, streams);
+  const zoneSecs = streams ? timeInZones(streams, ctx.bounds) : null;
+  const { load, src } = trimpOf(act, streams, ctx.profile);
+
+  await storeEfforts(
+    act.strava_id,
+    isRun && streams ? bestEfforts(streams) : [],
+    isRun && streams ? durationEfforts(streams) : []
+  );
+  await query(`
+    UPDATE activities SET
+      decoupling_pct=$2, decoupling_v=$3,
+      gap_speed_ms=$4, gap_ae_score=$5, gap_v=$6,
+      efforts_v=$7,
+      hr_zone_s=$8, hr_zones_key=$9,
+      training_load=$10, training_load_src=$11, training_load_key=$12
+    WHERE strava_id=$1
+  `, [
+    act.strava_id,
+    decouplingOf(act.sport, streams), DECOUPLING_VERSION,
+    gap.speed, gap.ae, GAP_VERSION,
+    EFFORTS_VERSION,
+    zoneSecs ? JSON.stringify(zoneSecs.map(Math.round)) : null, ctx.zonesKey,
+    load != null ? Math.round(load * 10) / 10 : null, src, ctx.loadKey,
+  ]);
+}
+
+// Called right after a streams row is written; `streams` is that row
+async function deriveStreams(athlete, activityId, streams) {
+  const act = await queryOne(`SELECT ${ACTIVITY_COLS} FROM activities WHERE strava_id=$1`, [activityId]);
+  if (!act) return;
+  await deriveActivity(act, streams, await derivedContext(athlete));
+  if (act.sport === 'run') await rebuildRecords(athlete.strava_id);
+}
+
+// ── Backfill ──────────────────────────────────────────────────────────────────
+
+function staleSql(ctx) {
+  return {
+    sql: `a.athlete_id=$1 AND (
+        a.decoupling_v      IS DISTINCT FROM $2
+     OR a.gap_v             IS DISTINCT FROM $3
+     OR a.efforts_v         IS DISTINCT FROM $4
+     OR a.hr_zones_key      IS DISTINCT FROM $5
+     OR a.training_load_key IS DISTINCT FROM $6)`,
+    params: [DECOUPLING_VERSION, GAP_VERSION, EFFORTS_VERSION, ctx.zonesKey, ctx.loadKey],
+  };
+}
+
+async function hasStaleDerived(athlete) {
+  const ctx = await derivedContext(athlete);
+  const { sql, params } = staleSql(ctx);
+  return !!(await queryOne(`SELECT 1 FROM activities a WHERE ${sql} LIMIT 1`, [athlete.strava_id, ...params]));
+}
+
+// Athletes with rows computed by an older *_VERSION — what a deploy leaves
+// behind. Zone and load keys are left out: the routes that change them queue
+// their own derive job.
+async function staleVersionAthletes() {
+  return query(`
+    SELECT * FROM athletes ath WHERE EXISTS (
+      SELECT 1 FROM activities a WHERE a.athlete_id = ath.strava_id AND (
+          a.decoupling_v IS DISTINCT FROM $1
+       OR a.gap_v        IS DISTINCT FROM $2
+       OR a.efforts_v    IS DISTINCT FROM $3))
+  `, [DECOUPLING_VERSION, GAP_VERSION, EFFORTS_VERSION]);
+}
+
+// The 'derive' job: recomputes every stale activity, one streams row at a
+// time, then rebuilds the PR history once. Returns how many were updated.
+async function updateDerived(athlete, { onProgress } = {}) {
+  const ctx = await derivedContext(athlete);
+  const { sql, params } = staleSql(ctx);
+  const stale = await query(`
+    SELECT ${ACTIVITY_COLS.split(', ').map(c => `a.${c}`).join(', ')},
+           EXISTS (SELECT 1 FROM streams s WHERE s.activity_id = a.strava_id) AS has_streams
+    FROM activities a WHERE ${sql}
+    ORDER BY a.start_date_local DESC
+  `, [athlete.strava_id, ...params]);
+  if (!stale.length) return 0;
+
+  let done = 0;
+  for (const a of stale) {
+    const streams = a.has_streams
+      ? await queryOne(`SELECT ${STREAM_COLS} FROM streams WHERE activity_id=$1`, [a.strava_id])
+      : null;
+    await deriveActivity(a, streams, ctx);
+    if (++done % 25 === 0 && onProgress) await onProgress(done);
+  }
+  await rebuildRecords(athlete.strava_id);
+  return done;
+}
+
+module.exports = { deriveStreams, updateDerived, hasStaleDerived, staleVersionAthletes };
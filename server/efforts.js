@@ -0,0 +1,231 @@
+// server/efforts.js — Best efforts and personal records from cached streams
+// Each run's distance/time streams are scanned for the fastest stretch of
+// every EFFORT_DISTANCES distance (elapsed time, so stops count — same as
+// Strava's best efforts). The end of each stretch falls between samples and
+// is interpolated. Results go to best_efforts, one row per run and distance.
+// The same pass stores the farthest distance covered in each EFFORT_DURATIONS
+// duration in duration_efforts, for the critical-speed fit.
+//
+// personal_records is the PR history: walking an athlete's efforts in date
+// order, every one faster than all before it is a row. It's rebuilt from
+// best_efforts after every scan (server/derived.js) and after every delete,
+// so a backfilled older run slots into the history where it belongs and a
+// deleted PR hands its place back to the efforts it had shadowed.
+const { query } = require('../db/client');
+const { athleteGrade } = require('./agegrade');
+
+// World records as of 2025 — anything faster is a GPS glitch, not a PR
+const EFFORT_DISTANCES = [
+  { key: '400m',     label: '400 m',    m: 400,      floorS: 43 },
+  { key: '1k',       label: '1 km',     m: 1000,     floorS: 131 },
+  { key: 'mile',     label: '1 mile',   m: 1609.344, floorS: 223 },
+  { key: '5k',       label: '5K',       m: 5000,     floorS: 755 },
+  { key: '10k',      label: '10K',      m: 10000,    floorS: 1571 },
+  { key: 'half',     label: 'Half',     m: 21097.5,  floorS: 3451 },
+  { key: 'marathon', label: 'Marathon', m: 42195,    floorS: 7235 },
+];
+
+// Farthest distance covered in each of these durations (s) — the points the
+// critical-speed fit uses (server/critical-speed.js)
+const EFFORT_DURATIONS = [120, 180, 300, 420, 600, 720, 900, 1200];
+const MAX_EFFORT_SPEED_MS = 7.2;   // faster than 800 m WR pace for 2 min+ is a GPS glitch
+
+// Bump when the scan changes so every run is rescanned
+const EFFORTS_VERSION = 2;
+
+function arr(a) { return Array.isArray(a) && a.length ? a : null; }
+
+// Fastest window covering `distM` — two pointers, O(n)
+function fastestWindow(d, t, distM) {
+  let best = null, j = 0;
+  for (let i = 0; i < d.length; i++) {
+    if (d[i] == null || t[i] == null) continue;
+    const target = d[i] + distM;
+    if (j < i) j = i;
+    while (j < d.length && !(d[j] >= target)) j++;
+    if (j >= d.length) break;
+    const span = d[j] - d[j - 1];
+    const frac = span > 0 ? (target - d[j - 1]) / span : 1;
+    const elapsed = t[j - 1] + frac * (t[j] - t[j - 1]) - t[i];
+    if (elapsed > 0 && (!best || elapsed < best.elapsed_s)) {
+      best = { elapsed_s: elapsed, start_index: i, end_index: j, start_offset_s: t[i] - t[0] };
+    }
+  }
+  return best;
+}
+
+// Farthest stretch inside `durS` seconds — two pointers, O(n). The far end
+// falls between samples and is interpolated.
+function farthestWindow(d, t, durS) {
+  let best = null, j = 0;
+  for (let i = 0; i < t.length; i++) {
+    if (d[i] == null || t[i] == null) continue;
+    const target = t[i] + durS;
+    if (j < i) j = i;
+    while (j < t.length && !(t[j] >= target)) j++;
+    if (j >= t.length) break;
+    const span = t[j] - t[j - 1];
+    const frac = span > 0 ? (target - t[j - 1]) / span : 1;
+    const dist = d[j - 1] + frac * (d[j] - d[j - 1]) - d[i];
+    if (dist > 0 && (!best || dist > best.distance_m)) {
+      best = { distance_m: dist, start_index: i, end_index: j, start_offset_s: t[i] - t[0] };
+    }
+  }
+  return best;
+}
+
+// Pure: [{ duration_s, distance_m, start_index, end_index, start_offset_s }]
+// for every duration the run lasts
+function durationEfforts(streams) {
+  const d = arr(streams.distance_m), t = arr(streams.time_s);
+  if (!d || !t) return [];
+  const total = t[t.length - 1] - t[0];
+  const out = [];
+  for (const durS of EFFORT_DURATIONS) {
+    if (total < durS) break;
+    const w = farthestWindow(d, t, durS);
+    if (!w || w.distance_m / durS > MAX_EFFORT_SPEED_MS) continue;
+    out.push({
+      duration_s:     durS,
+      distance_m:     Math.round(w.distance_m * 10) / 10,
+      start_index:    w.start_index,
+      end_index:      w.end_index,
+      start_offset_s: Math.round(w.start_offset_s),
+    });
+  }
+  return out;
+}
+
+// Pure: [{ distance_key, distance_m, elapsed_s, start_index, end_index, start_offset_s }]
+// for every distance the run covers
+function bestEfforts(streams) {
+  const d = arr(streams.distance_m), t = arr(streams.time_s);
+  if (!d || !t) return [];
+  const total = d[d.length - 1] - d[0];
+  const out = [];
+  for (const e of EFFORT_DISTANCES) {
+    if (total < e.m) break;
+    const w = fastestWindow(d, t, e.m);
+    if (!w || w.elapsed_s < e.floorS) continue;
+    out.push({
+      distance_key:   e.key,
+      distance_m:     e.m,
+      elapsed_s:      Math.round(w.elapsed_s * 10) / 10,
+      start_index:    w.start_index,
+      end_index:      w.end_index,
+      start_offset_s: Math.round(w.start_offset_s),
+    });
+  }
+  return out;
+}
+
+// ── Stored efforts ────────────────────────────────────────────────────────────
+// Written by server/derived.js when a run's streams are cached (or rescanned
+// by the derive job after an EFFORTS_VERSION bump)
+
+async function storeEfforts(activityId, efforts, durations) {
+  await query(`DELETE FROM best_efforts WHERE activity_id=$1`, [activityId]);
+  await query(`DELETE FROM duration_efforts WHERE activity_id=$1`, [activityId]);
+  for (const e of efforts) {
+    await query(`
+      INSERT INTO best_efforts (activity_id, distance_key, distance_m, elapsed_s, start_index, end_index, start_offset_s)
+      VALUES ($1,$2,$3,$4,$5,$6,$7)
+      ON CONFLICT (activity_id, distance_key) DO UPDATE SET
+        elapsed_s=EXCLUDED.elapsed_s, start_index=EXCLUDED.start_index,
+        end_index=EXCLUDED.end_index, start_offset_s=EXCLUDED.start_offset_s
+    `, [activityId, e.distance_key, e.distance_m, e.elapsed_s, e.start_index, e.end_index, e.start_offset_s]);
+  }
+  for (const e of durations) {
+    await query(`
+      INSERT INTO duration_efforts (activity_id, duration_s, distance_m, start_index, end_index, start_offset_s)
+      VALUES ($1,$2,$3,$4,$5,$6)
+      ON CONFLICT (activity_id, duration_s) DO UPDATE SET
+        distance_m=EXCLUDED.distance_m, start_index=EXCLUDED.start_index,
+        end_index=EXCLUDED.end_index, start_offset_s=EXCLUDED.start_offset_s
+    `, [activityId, e.duration_s, e.distance_m, e.start_index, e.end_index, e.start_offset_s]);
+  }
+}
+
+// ── Personal records ──────────────────────────────────────────────────────────
+
+async function rebuildRecords(athleteId) {
+  const efforts = await query(`
+    SELECT e.distance_key, e.activity_id, e.elapsed_s, a.start_date_local
+    FROM best_efforts e JOIN activities a ON a.strava_id = e.activity_id
+    WHERE a.athlete_id=$1
+    ORDER BY e.distance_key, a.start_date_local, e.elapsed_s
+  `, [athleteId]);
+
+  await query(`DELETE FROM personal_records WHERE athlete_id=$1`, [athleteId]);
+  const best = new Map();
+  for (const e of efforts) {
+    const prev = best.get(e.distance_key);
+    if (prev != null && e.elapsed_s >= prev) continue;
+    await query(`
+      INSERT INTO personal_records (athlete_id, distance_key, activity_id, elapsed_s, achieved_at, improvement_s)
+      VALUES ($1,$2,$3,$4,$5,$6)
+      ON CONFLICT DO NOTHING
+    `, [athleteId, e.distance_key, e.activity_id, e.elapsed_s, e.start_date_local,
+        prev != null ? Math.round((prev - e.elapsed_s) * 10) / 10 : null]);
+    best.set(e.distance_key, e.elapsed_s);
+  }
+}
+
+// Adds age_grade_pct (server/agegrade.js) for the athlete's age on the day;
+// null below the mile or when their profile has no sex / birthdate
+function withAgeGrade(athlete, distM, e) {
+  if (!e) return e;
+  const g = athleteGrade(athlete, distM, e.elapsed_s, e.date);
+  return { ...e, age_grade_pct: g?.pct ?? null };
+}
+
+// Per distance: current PR, best effort this calendar year, and the PR history
+// oldest first. Season follows start_date_local, i.e. the run's local date.
+async function getRecords(athlete) {
+  const athleteId = athlete.strava_id;
+  const history = await query(`
+    SELECT p.distance_key, p.activity_id, p.elapsed_s, p.improvement_s,
+           to_char(p.achieved_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS date, a.name
+    FROM personal_records p JOIN activities a ON a.strava_id = p.activity_id
+    WHERE p.athlete_id=$1
+    ORDER BY p.achieved_at
+  `, [athleteId]);
+  const season = await query(`
+    SELECT DISTINCT ON (e.distance_key) e.distance_key, e.activity_id, e.elapsed_s,
+           to_char(a.start_date_local AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS date, a.name
+    FROM best_efforts e JOIN activities a ON a.strava_id = e.activity_id
+    WHERE a.athlete_id=$1
+      AND a.start_date_local >= date_trunc('year', NOW() AT TIME ZONE 'UTC')
+    ORDER BY e.distance_key, e.elapsed_s
+  `, [athleteId]);
+
+  return EFFORT_DISTANCES.map(({ key, label, m }) => {
+    const h = history.filter(r => r.distance_key === key).map(r => withAgeGrade(athlete, m, r));
+    return {
+      key, label, distance_m: m,
+      current: h.length ? h[h.length - 1] : null,
+      season:  withAgeGrade(athlete, m, season.find(r => r.distance_key === key)) || null,
+      history: h,
+    };
+  });
+}
+
+// Best efforts inside one run, each flagged if it is (or was) a PR
+async function getActivityEfforts(athlete, activityId) {
+  const rows = await query(`
+    SELECT e.distance_key, e.distance_m, e.elapsed_s, e.start_index, e.end_index, e.start_offset_s,
+           (p.activity_id IS NOT NULL) AS was_pr,
+           to_char(a.start_date_local AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS date
+    FROM best_efforts e
+    JOIN activities a ON a.strava_id = e.activity_id
+    LEFT JOIN personal_records p ON p.activity_id = e.activity_id AND p.distance_key = e.distance_key
+    WHERE e.activity_id=$1
+    ORDER BY e.distance_m
+  `, [activityId]);
+  return rows.map(r => withAgeGrade(athlete, r.distance_m, r));
+}
+
+module.exports = {
+  EFFORT_DISTANCES, EFFORT_DURATIONS, EFFORTS_VERSION, bestEfforts, durationEfforts, storeEfforts, rebuildRecords,
+  getRecords, getActivityEfforts,
+};
@@ -0,0 +1,179 @@
+// server/export.js — GPX / TCX / CSV writers for cached activities and streams
+// Pure formatters: callers load the activity row and its streams row (see the
+// export routes in server/index.js) and send the returned string.
+
+const CREATOR = 'Senén Strava Visualizer';
+
+// Strava-ish sport groups → GPX <type> / TCX Sport attribute
+const GPX_TYPES = { run: 'running', ride: 'cycling', hike: 'hiking', walk: 'walking', other: 'other' };
+const TCX_SPORTS = { run: 'Running', ride: 'Biking' };
+
+function xmlEscape(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+function at(arr, i) {
+  return Array.isArray(arr) ? arr[i] ?? null : null;
+}
+
+// Absolute ISO time for sample i
+function sampleTime(start, streams, i) {
+  return new Date(new Date(start).getTime() + (at(streams.time_s, i) || 0) * 1000).toISOString();
+}
+
+// "2024-03-02-morning-run" — used for Content-Disposition filenames
+function exportFilename(activity, ext) {
+  const date = new Date(activity.start_date_local || activity.start_date).toISOString().slice(0, 10);
+  const slug = String(activity.name || 'activity').toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+  return `${date}-${slug || 'activity'}.${ext}`;
+}
+
+// ── GPX ───────────────────────────────────────────────────────────────────────
+// GPX needs coordinates on every point; samples without a fix are skipped.
+function toGpx(activity, streams) {
+  if (!Array.isArray(streams.latlng) || !streams.latlng.some(Boolean)) {
+    throw new Error('Activity has no GPS track — export it as TCX instead');
+  }
+  const n = streams.time_s?.length || 0;
+  const pts = [];
+  for (let i = 0; i < n; i++) {
+    const ll = streams.latlng[i];
+    if (!ll) continue;
+    const hr = at(streams.heartrate, i), cad = at(streams.cadence, i);
+    const ext = (hr != null || cad != null)
+      ? `<extensions><gpxtpx:TrackPointExtension>` +
+        (hr  != null ? `<gpxtpx:hr>${Math.round(hr)}</gpxtpx:hr>` : '') +
+        (cad != null ? `<gpxtpx:cad>${Math.round(cad)}</gpxtpx:cad>` : '') +
+        `</gpxtpx:TrackPointExtension></extensions>`
+      : '';
+    const ele = at(streams.altitude_m, i);
+    pts.push(`      <trkpt lat="${ll[0]}" lon="${ll[1]}">` +
+      (ele != null ? `<ele>${ele}</ele>` : '') +
+      `<time>${sampleTime(activity.start_date, streams, i)}</time>${ext}</trkpt>`);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+  <metadata><name>${xmlEscape(activity.name)}</name><time>${new Date(activity.start_date).toISOString()}</time></metadata>
+  <trk>
+    <name>${xmlEscape(activity.name)}</name>
+    <type>${GPX_TYPES[activity.sport] || 'running'}</type>
+    <trkseg>
+${pts.join('\n')}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+// ── TCX ───────────────────────────────────────────────────────────────────────
+// One lap covering the whole activity. Works without GPS (treadmill) since
+// every trackpoint carries DistanceMeters.
+function toTcx(activity, streams) {
+  const n = streams.time_s?.length || 0;
+  const isRun = (activity.sport || 'run') === 'run';
+  const pts = [];
+  for (let i = 0; i < n; i++) {
+    const ll = at(streams.latlng, i);
+    const ele = at(streams.altitude_m, i), dist = at(streams.distance_m, i);
+    const hr = at(streams.heartrate, i), cad = at(streams.cadence, i), v = at(streams.velocity_ms, i);
+    let p = `<Trackpoint><Time>${sampleTime(activity.start_date, streams, i)}</Time>`;
+    if (ll)           p += `<Position><LatitudeDegrees>${ll[0]}</LatitudeDegrees><LongitudeDegrees>${ll[1]}</LongitudeDegrees></Position>`;
+    if (ele != null)  p += `<AltitudeMeters>${ele}</AltitudeMeters>`;
+    if (dist != null) p += `<DistanceMeters>${dist}</DistanceMeters>`;
+    if (hr != null)   p += `<HeartRateBpm><Value>${Math.round(hr)}</Value></HeartRateBpm>`;
+    if (cad != null && !isRun) p += `<Cadence>${Math.round(cad)}</Cadence>`;
+    if (v != null || (cad != null && isRun)) {
+      p += `<Extensions><ns3:TPX>` +
+        (v != null ? `<ns3:Speed>${v}</ns3:Speed>` : '') +
+        (cad != null && isRun ? `<ns3:RunCadence>${Math.round(cad)}</ns3:RunCadence>` : '') +
+        `</ns3:TPX></Extensions>`;
+    }
+    pts.push(`            ${p}</Trackpoint>`);
+  }
+
+  const start = new Date(activity.start_date).toISOString();
+  const avgHr = activity.avg_heartrate ? `<AverageHeartRateBpm><Value>${Math.round(activity.avg_heartrate)}</Value></AverageHeartRateBpm>` : '';
+  const maxHr = activity.max_heartrate ? `<MaximumHeartRateBpm><Value>${Math.round(activity.max_heartrate)}</Value></MaximumHeartRateBpm>` : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+  <Activities>
+    <Activity Sport="${TCX_SPORTS[activity.sport] || (isRun ? 'Running' : 'Other')}">
+      <Id>${start}</Id>
+      <Lap StartTime="${start}">
+        <TotalTimeSeconds>${activity.elapsed_time_s || activity.moving_time_s || 0}</TotalTimeSeconds>
+        <DistanceMeters>${activity.distance_m || 0}</DistanceMeters>
+        <Calories>0</Calories>
+        ${avgHr}${maxHr}
+        <Intensity>Active</Intensity>
+        <TriggerMethod>Manual</TriggerMethod>
+        <Track>
+${pts.join('\n')}
+        </Track>
+      </Lap>
+      <Notes>${xmlEscape(activity.name)}</Notes>
+      <Creator xsi:type="Device_t" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><Name>${CREATOR}</Name></Creator>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>
+`;
+}
+
+// ── CSV ───────────────────────────────────────────────────────────────────────
+
+function csvCell(v) {
+  if (v == null) return '';
+  if (v instanceof Date) return v.toISOString();
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const r of rows) lines.push(columns.map(c => csvCell(r[c])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+const ACTIVITY_COLUMNS = [
+  'id', 'name', 'sport', 'sport_type', 'workout_type', 'start_date', 'start_date_local',
+  'distance_m', 'moving_time_s', 'elapsed_time_s', 'avg_speed_ms', 'total_elevation_m',
+  'avg_heartrate', 'max_heartrate', 'avg_watts', 'ae_score', 'gap_speed_ms', 'gap_ae_score',
+  'decoupling_pct', 'gear_name', 'temp_c', 'humidity_pct', 'source',
+];
+
+function activitiesToCsv(rows) {
+  return toCsv(ACTIVITY_COLUMNS, rows);
+}
+
+// One row per sample; latlng is split into lat/lng columns
+const STREAM_COLUMNS = ['time_s', 'distance_m', 'altitude_m', 'velocity_ms', 'heartrate',
+  'cadence', 'lat', 'lng', 'grade_smooth', 'moving', 'temp', 'watts'];
+
+function streamsToCsv(streams) {
+  const n = streams.time_s?.length || 0;
+  const rows = [];
+  for (let i = 0; i < n; i++) {
+    const ll = at(streams.latlng, i);
+    rows.push({
+      time_s:       at(streams.time_s, i),
+      distance_m:   at(streams.distance_m, i),
+      altitude_m:   at(streams.altitude_m, i),
+      velocity_ms:  at(streams.velocity_ms, i),
+      heartrate:    at(streams.heartrate, i),
+      cadence:      at(streams.cadence, i),
+      lat:          ll ? ll[0] : null,
+      lng:          ll ? ll[1] : null,
+      grade_smooth: at(streams.grade_smooth, i),
+      moving:       at(streams.moving, i),
+      temp:         at(streams.temp, i),
+      watts:        at(streams.watts, i),
+    });
+  }
+  return toCsv(STREAM_COLUMNS, rows);
+}
+
+module.exports = { toGpx, toTcx, activitiesToCsv, streamsToCsv, exportFilename, ACTIVITY_COLUMNS };
@@ -0,0 +1,93 @@
+// server/filters.js — Activity list filters as SQL
+// The picker filters client-side; anything that needs the same slice on the
+// server (the activity list, CSV export) builds its WHERE clause here so the
+// two can't drift apart. Column references assume `activities a` and `gear g`.
+//
+// Query params (all optional):
+//   sport            run | ride | hike | walk | other
+//   dist_min/max     metres
+//   type             race | workout | run   (Strava workout_type groups, as in the picker)
+//   shoe             gear name
+//   gear             gear id
+//   from / to        YYYY-MM-DD, inclusive, on start_date_local
+//   matched          '1' — only activities matching a race in the race DB
+
+const WORKOUT_TYPE_GROUPS = {
+  race:    `a.workout_type = 1`,
+  workout: `a.workout_type BETWEEN 2 AND 12`,
+  run:     `COALESCE(a.workout_type, 0) = 0`,
+};
+
+// Same window findRaceMatches uses: ±2 days, ±10% distance
+const MATCHED_SQL = `EXISTS (
+  SELECT 1 FROM race_events re
+  WHERE re.event_date IS NOT NULL AND re.distance_m > 0
+    AND ABS(a.start_date_local::date - re.event_date) <= 2
+    AND a.distance_m BETWEEN re.distance_m * 0.90 AND re.distance_m * 1.10
+)`;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Bad param values — routes answer these with err.status instead of letting
+// Postgres reject the cast
+class FilterError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'FilterError';
+    this.status = status;
+  }
+}
+
+// A param given twice (?sport=run&sport=ride) or as an object (?shoe[x]=1)
+// comes through as an array/object, which pg would bind and match nothing
+function text(q, key) {
+  const v = q[key];
+  if (v == null) return null;
+  if (typeof v !== 'string') throw new FilterError(`${key} must be given once`);
+  return v;
+}
+
+function metres(q, key) {
+  const v = text(q, key);
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isFinite(n)) throw new FilterError(`${key} must be a number`);
+  return n;
+}
+
+function date(q, key) {
+  const v = text(q, key);
+  if (!v) return null;
+  // The round trip catches dates like 2025-02-31 that the pattern lets through
+  const d = new Date(`${v}T00:00:00Z`);
+  if (!DATE_RE.test(v) || isNaN(d) || d.toISOString().slice(0, 10) !== v) throw new FilterError(`${key} must be YYYY-MM-DD`);
+  return v;
+}
+
+// Returns { where, params } — `where` starts with the athlete condition ($1).
+// Throws FilterError on a malformed distance or date, or a repeated param.
+function buildActivityFilter(athleteId, q = {}) {
+  const params = [athleteId];
+  const conds  = ['a.athlete_id = $1'];
+  const add = (sql, value) => { params.push(value); conds.push(sql.replace('?', `$${params.length}`)); };
+
+  const distMin = metres(q, 'dist_min');
+  const distMax = metres(q, 'dist_max');
+  const from    = date(q, 'from');
+  const to      = date(q, 'to');
+  const [sport, type, shoe, gear, matched] = ['sport', 'type', 'shoe', 'gear', 'matched'].map(k => text(q, k));
+
+  if (sport)                   add('a.sport = ?', sport);
+  if (distMin != null)         add('a.distance_m >= ?', distMin);
+  if (distMax != null)         add('a.distance_m <= ?', distMax);
+  if (WORKOUT_TYPE_GROUPS[type]) conds.push(WORKOUT_TYPE_GROUPS[type]);
+  if (shoe)                    add('g.name = ?', shoe);
+  if (gear)                    add('a.gear_id = ?', gear);
+  if (from)                    add('a.start_date_local >= ?::date', from);
+  if (to)                      add(`a.start_date_local < ?::date + INTERVAL '1 day'`, to);
+  if (matched === '1' || matched === 'true') conds.push(`a.sport = 'run' AND ${MATCHED_SQL}`);
+
+  return { where: conds.join('\n      AND '), params };
+}
+
+module.exports = { buildActivityFilter, FilterError, WORKOUT_TYPE_GROUPS };
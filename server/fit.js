@@ -0,0 +1,162 @@
+// server/fit.js — Minimal Garmin FIT decoder
+// Reads just enough of the FIT protocol to turn an activity file into track
+// points: definition/data messages (incl. compressed-timestamp headers and
+// developer fields, which are skipped), and the record, session and activity
+// messages. CRCs are not checked.
+//
+// Spec: https://developer.garmin.com/fit/protocol/
+
+const FIT_EPOCH_S = 631065600; // 1989-12-31T00:00:00Z
+
+// Base type → [byte size, reader name, invalid value]
+const BASE_TYPES = {
+  0x00: [1, 'UInt8',   0xFF],         // enum
+  0x01: [1, 'Int8',    0x7F],
+  0x02: [1, 'UInt8',   0xFF],
+  0x83: [2, 'Int16',   0x7FFF],
+  0x84: [2, 'UInt16',  0xFFFF],
+  0x85: [4, 'Int32',   0x7FFFFFFF],
+  0x86: [4, 'UInt32',  0xFFFFFFFF],
+  0x88: [4, 'Float',   null],
+  0x89: [8, 'Double',  null],
+  0x0A: [1, 'UInt8',   0],            // uint8z
+  0x8B: [2, 'UInt16',  0],            // uint16z
+  0x8C: [4, 'UInt32',  0],            // uint32z
+};
+
+// Global message numbers we read
+const MSG_RECORD   = 20;
+const MSG_SESSION  = 18;
+const MSG_ACTIVITY = 34;
+
+// FIT sport enum → Strava activity type
+const SPORTS = { 1: 'Run', 2: 'Ride', 5: 'Swim', 11: 'Walk', 17: 'Hike' };
+
+const SEMICIRCLE_DEG = 180 / 2 ** 31;
+
+function isFit(buf) {
+  return buf.length >= 12 && buf.toString('ascii', 8, 12) === '.FIT';
+}
+
+function readField(buf, pos, size, baseType, littleEndian) {
+  const bt = BASE_TYPES[baseType];
+  // Arrays, strings and 64-bit ints aren't needed for any field we use
+  if (!bt || bt[0] !== size) return null;
+  const [, reader, invalid] = bt;
+  const v = size === 1
+    ? buf[`read${reader}`](pos)
+    : buf[`read${reader}${littleEndian ? 'LE' : 'BE'}`](pos);
+  if (invalid != null && v === invalid) return null;
+  if (reader === 'Float' || reader === 'Double') return Number.isFinite(v) ? v : null;
+  return v;
+}
+
+// Walk every message, calling onMessage(globalNum, { fieldNum: value }).
+function readMessages(buf, onMessage) {
+  if (!isFit(buf)) throw new Error('Not a FIT file');
+  const headerSize = buf[0];
+  const dataSize   = buf.readUInt32LE(4);
+  const end = Math.min(headerSize + dataSize, buf.length);
+  const defs = {};
+  let pos = headerSize;
+  let lastTimestamp = null;
+
+  while (pos < end) {
+    const header = buf[pos++];
+
+    if (header & 0x80) {
+      // Compressed timestamp header: 5-bit offset from the last full timestamp
+      const def = defs[(header >> 5) & 0x03];
+      if (!def) throw new Error(`FIT: data before definition at byte ${pos - 1}`);
+      const offset = header & 0x1F;
+      if (lastTimestamp != null) {
+        lastTimestamp += (offset - (lastTimestamp & 0x1F)) & 0x1F;
+      }
+      const fields = readData(buf, pos, def);
+      pos += def.size;
+      if (lastTimestamp != null && fields[253] == null) fields[253] = lastTimestamp;
+      onMessage(def.global, fields);
+      continue;
+    }
+
+    const local = header & 0x0F;
+    if (header & 0x40) {
+      // Definition message
+      const hasDev = (header & 0x20) !== 0;
+      const littleEndian = buf[pos + 1] === 0;
+      const global = littleEndian ? buf.readUInt16LE(pos + 2) : buf.readUInt16BE(pos + 2);
+      const count  = buf[pos + 4];
+      pos += 5;
+      const fields = [];
+      let size = 0;
+      for (let i = 0; i < count; i++) {
+        fields.push({ num: buf[pos], size: buf[pos + 1], type: buf[pos + 2], offset: size });
+        size += buf[pos + 1];
+        pos += 3;
+      }
+      if (hasDev) {
+        const devCount = buf[pos++];
+        for (let i = 0; i < devCount; i++) { size += buf[pos + 1]; pos += 3; }
+      }
+      defs[local] = { global, littleEndian, fields, size };
+      continue;
+    }
+
+    const def = defs[local];
+    if (!def) throw new Error(`FIT: data before definition at byte ${pos - 1}`);
+    const fields = readData(buf, pos, def);
+    pos += def.size;
+    if (fields[253] != null) lastTimestamp = fields[253];
+    onMessage(def.global, fields);
+  }
+}
+
+function readData(buf, pos, def) {
+  const out = {};
+  for (const f of def.fields) {
+    if (pos + f.offset + f.size > buf.length) break;
+    out[f.num] = readField(buf, pos + f.offset, f.size, f.type, def.littleEndian);
+  }
+  return out;
+}
+
+// ── Activity files ────────────────────────────────────────────────────────────
+// Returns { type, points, localOffsetS } in the same shape as the GPX/TCX
+// parsers in server/upload.js. Points: { t (ms), lat, lng, alt, dist, hr, cad, temp, watts }.
+function parseFit(buf) {
+  const points = [];
+  let type = null;
+  let activityTs = null, activityLocalTs = null;
+
+  readMessages(buf, (global, f) => {
+    if (global === MSG_RECORD) {
+      if (f[253] == null) return;
+      const alt = f[78] ?? f[2]; // enhanced_altitude, altitude — both scale 5, offset 500
+      points.push({
+        t:     (f[253] + FIT_EPOCH_S) * 1000,
+        lat:   f[0] != null ? f[0] * SEMICIRCLE_DEG : null,
+        lng:   f[1] != null ? f[1] * SEMICIRCLE_DEG : null,
+        alt:   alt != null ? alt / 5 - 500 : null,
+        dist:  f[5] != null ? f[5] / 100 : null,
+        hr:    f[3],
+        cad:   f[4],
+        temp:  f[13],
+        watts: f[7],
+      });
+    } else if (global === MSG_SESSION) {
+      if (type == null && f[5] != null) type = SPORTS[f[5]] || 'Workout';
+    } else if (global === MSG_ACTIVITY) {
+      activityTs      = f[253];
+      activityLocalTs = f[5];
+    }
+  });
+
+  return {
+    type,
+    points,
+    // The activity message records local wall time alongside UTC
+    localOffsetS: activityTs != null && activityLocalTs != null ? activityLocalTs - activityTs : null,
+  };
+}
+
+module.exports = { parseFit, isFit, readMessages };
@@ -0,0 +1,81 @@
+// server/gap.js — Grade-adjusted pace (GAP) from the altitude stream
+// Every stretch of a run is converted to the flat distance that would have
+// cost the same energy, using Minetti et al. (2002) for the metabolic cost of
+// running on a grade i (rise/run, clamped to ±45%), in J/kg/m:
+//   C(i) = 155.4i⁵ − 30.4i⁴ − 43.3i³ + 46.3i² + 19.5i + 3.6
+// so a sample's GAP speed is its speed × C(i) / C(0). Grade is measured over
+// GRADE_WINDOW_M of distance centred on each sample — point-to-point GPS/baro
+// altitude is far too noisy for per-sample grades.
+//
+// Per run we store gap_speed_ms (average GAP speed) and gap_ae_score (the same
+// speed-per-beat AE as ae_score, on GAP speed); the per-sample series goes out
+// with /api/streams for the pace chart overlay. Runs only.
+const { aeScore } = require('./sports');
+
+const GRADE_WINDOW_M = 50;
+const MAX_GRADE = 0.45;
+const FLAT_COST = 3.6;
+
+// Bump when the method changes so stored values are recomputed
+const GAP_VERSION = 1;
+
+function arr(a) { return Array.isArray(a) && a.length ? a : null; }
+
+function minettiCost(i) {
+  const g = Math.max(-MAX_GRADE, Math.min(MAX_GRADE, i));
+  return 155.4 * g ** 5 - 30.4 * g ** 4 - 43.3 * g ** 3 + 46.3 * g ** 2 + 19.5 * g + FLAT_COST;
+}
+
+// Grade at each sample over a centred distance window (two-pointer sweep)
+function gradeSeries(d, alt) {
+  const n = d.length, out = new Array(n).fill(0);
+  const half = GRADE_WINDOW_M / 2;
+  let lo = 0, hi = 0;
+  for (let i = 0; i < n; i++) {
+    while (lo < i && d[i] - d[lo] > half) lo++;
+    if (hi < i) hi = i;
+    while (hi < n - 1 && d[hi + 1] - d[i] <= half) hi++;
+    const run = d[hi] - d[lo];
+    if (run > 0 && alt[hi] != null && alt[lo] != null) out[i] = (alt[hi] - alt[lo]) / run;
+  }
+  return out;
+}
+
+// Pure: { factors, ratio } — per-sample cost factors C(i)/C(0) and the
+// distance-weighted mean factor (flat-equivalent distance / distance) — or
+// null without usable distance and altitude streams
+function gradeAdjustment(streams) {
+  const d = arr(streams.distance_m), alt = arr(streams.altitude_m);
+  if (!d || !alt || alt.length !== d.length || !alt.some(v => v != null)) return null;
+  const grades = gradeSeries(d, alt);
+  const factors = grades.map(g => minettiCost(g) / FLAT_COST);
+  let dist = 0, flat = 0;
+  for (let i = 1; i < d.length; i++) {
+    const dd = d[i] - d[i - 1];
+    if (!(dd > 0)) continue;
+    dist += dd;
+    flat += dd * factors[i];
+  }
+  if (!dist) return null;
+  return { factors, ratio: flat / dist };
+}
+
+// Per-sample GAP speed (m/s) for the pace chart, or null
+function gapSpeeds(streams) {
+  const v = arr(streams.velocity_ms);
+  const adj = v && gradeAdjustment(streams);
+  if (!adj) return null;
+  return v.map((s, i) => s > 0 ? parseFloat((s * adj.factors[i]).toFixed(3)) : s);
+}
+
+// ── Stored values ─────────────────────────────────────────────────────────────
+// Written by server/derived.js. act needs sport, avg_speed_ms and avg_heartrate
+function gapSummary(act, streams) {
+  if (act.sport !== 'run' || !streams || !(act.avg_speed_ms > 0)) return { speed: null, ae: null };
+  const adj = gradeAdjustment(streams);
+  if (!adj) return { speed: null, ae: null };
+  const speed = parseFloat((act.avg_speed_ms * adj.ratio).toFixed(3));
+  return { speed, ae: aeScore(speed, act.avg_heartrate) };
+}
+
+module.exports = { gradeAdjustment, gapSpeeds, gapSummary, minettiCost, GAP_VERSION };
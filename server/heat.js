@@ -0,0 +1,114 @@
+// server/heat.js — Heat- and humidity-adjusted pace and aerobic efficiency
+// Warm, humid air costs speed at a given heart rate, so raw AE sags every
+// summer. The adjustment uses the runners' temperature + dew point rule:
+// add air temperature and dew point (both °F) and read the expected slowdown
+// off HEAT_TABLE, interpolating between rows. Adjusted speed (and so AE,
+// which is speed per beat) is what the run would have been in cool air:
+//   adjusted = raw × (1 + slowdown% / 100)
+// Dew point comes from temperature and relative humidity (Magnus formula).
+// Activities without both temp_c and humidity_pct are left unadjusted.
+
+// [temp °F + dew point °F, slowdown %]; at or below the first row there's no
+// adjustment, past the last the final slope continues up to MAX_SLOWDOWN_PCT
+const HEAT_TABLE = [
+  [100, 0],
+  [110, 0.5],
+  [120, 1],
+  [130, 2],
+  [140, 3],
+  [150, 4.5],
+  [160, 6],
+  [170, 8],
+  [180, 10],
+];
+const MAX_SLOWDOWN_PCT = 15;
+
+// Magnus coefficients (Alduchov & Eskridge 1996), good from −40 to 50 °C
+const MAGNUS_A = 17.625;
+const MAGNUS_B = 243.04;
+
+function dewPointC(tempC, humidityPct) {
+  if (tempC == null || !(humidityPct > 0)) return null;
+  const g = Math.log(Math.min(humidityPct, 100) / 100) + MAGNUS_A * tempC / (MAGNUS_B + tempC);
+  return MAGNUS_B * g / (MAGNUS_A - g);
+}
+
+function cToF(c) { return c * 9 / 5 + 32; }
+
+function slowdownPct(sumF) {
+  const first = HEAT_TABLE[0], last = HEAT_TABLE[HEAT_TABLE.length - 1];
+  if (sumF <= first[0]) return 0;
+  for (let i = 1; i < HEAT_TABLE.length; i++) {
+    const [x0, y0] = HEAT_TABLE[i - 1], [x1, y1] = HEAT_TABLE[i];
+    if (sumF <= x1) return y0 + (sumF - x0) / (x1 - x0) * (y1 - y0);
+  }
+  const [px, py] = HEAT_TABLE[HEAT_TABLE.length - 2];
+  const slope = (last[1] - py) / (last[0] - px);
+  return Math.min(last[1] + (sumF - last[0]) * slope, MAX_SLOWDOWN_PCT);
+}
+
+// { dew_point_c, heat_sum_f, slowdown_pct, factor } or null without weather
+function heatAdjustment(tempC, humidityPct) {
+  const dew = dewPointC(tempC, humidityPct);
+  if (dew == null) return null;
+  const sumF = cToF(tempC) + cToF(dew);
+  const pct = slowdownPct(sumF);
+  return {
+    dew_point_c:  Math.round(dew * 10) / 10,
+    heat_sum_f:   Math.round(sumF),
+    slowdown_pct: Math.round(pct * 100) / 100,
+    factor:       1 + pct / 100,
+  };
+}
+
+// Adds heat_* and adj_* fields to an activity row with sport, temp_c,
+// humidity_pct, avg_speed_ms and ae_score. Without weather the adjusted values
+// equal the raw ones and heat_slowdown_pct is null. The table is for running,
+// so adj_* are null for every other sport.
+function withHeatAdjustment(row) {
+  const adj = heatAdjustment(row.temp_c, row.humidity_pct);
+  const factor = adj ? adj.factor : 1;
+  const isRun = row.sport === 'run';
+  return {
+    ...row,
+    dew_point_c:       adj ? adj.dew_point_c : null,
+    heat_sum_f:        adj ? adj.heat_sum_f : null,
+    heat_slowdown_pct: adj ? adj.slowdown_pct : null,
+    adj_speed_ms:      isRun && row.avg_speed_ms != null ? parseFloat((row.avg_speed_ms * factor).toFixed(3)) : null,
+    adj_ae_score:      isRun && row.ae_score != null ? parseFloat((row.ae_score * factor).toFixed(4)) : null,
+  };
+}
+
+// ── SQL ───────────────────────────────────────────────────────────────────────
+// The same model as SQL expressions, for aggregates over the whole history
+// (server/analytics.js). heatSumSql is NULL without weather; heatFactorSql
+// takes that column and gives 1 + slowdown% / 100 (1 when it's NULL).
+
+function heatSumSql(tempCol, humidityCol) {
+  const g = `(LN(LEAST(${humidityCol}, 100) / 100.0) + ${MAGNUS_A} * ${tempCol} / (${MAGNUS_B} + ${tempCol}))`;
+  return `CASE WHEN ${tempCol} IS NOT NULL AND ${humidityCol} > 0
+    THEN ${tempCol} * 1.8 + 32 + (${MAGNUS_B} * ${g} / (${MAGNUS_A} - ${g})) * 1.8 + 32 END`;
+}
+
+function heatFactorSql(sumCol) {
+  const rows = [];
+  for (let i = 1; i < HEAT_TABLE.length; i++) {
+    const [x0, y0] = HEAT_TABLE[i - 1], [x1, y1] = HEAT_TABLE[i];
+    rows.push(`WHEN ${sumCol} <= ${x1} THEN ${y0} + (${sumCol} - ${x0}) * ${(y1 - y0) / (x1 - x0)}`);
+  }
+  const [px, py] = HEAT_TABLE[HEAT_TABLE.length - 2], [lx, ly] = HEAT_TABLE[HEAT_TABLE.length - 1];
+  return `(1 + (CASE WHEN ${sumCol} IS NULL OR ${sumCol} <= ${HEAT_TABLE[0][0]} THEN 0
+    ${rows.join('\n    ')}
+    ELSE LEAST(${ly} + (${sumCol} - ${lx}) * ${(ly - py) / (lx - px)}, ${MAX_SLOWDOWN_PCT}) END) / 100.0)`;
+}
+
+// Everything the UI shows so the adjustment can be checked by hand
+const HEAT_MODEL = {
+  input:   'air temperature °F + dew point °F',
+  formula: 'adjusted = raw × (1 + slowdown% / 100)',
+  dew_point: `Magnus: γ = ln(RH/100) + ${MAGNUS_A}·T/(${MAGNUS_B}+T); Td = ${MAGNUS_B}·γ/(${MAGNUS_A}−γ)`,
+  table:   HEAT_TABLE.map(([sum_f, slowdown_pct]) => ({ sum_f, slowdown_pct })),
+  max_slowdown_pct: MAX_SLOWDOWN_PCT,
+};
+
+module.exports = { HEAT_MODEL, heatAdjustment, withHeatAdjustment, dewPointC, heatSumSql, heatFactorSql };
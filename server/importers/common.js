@@ -0,0 +1,273 @@
+// server/importers/common.js — What every race-results provider shares
+// Providers hand back finishers in one schema, and this module is the only
+// code that writes race_events / race_finishers.
+//
+// Finisher schema (all fields optional except name):
+//   bib, name, gender (1 = M, 2 = F, Sporthive's convention), age_group,
+//   overall_rank, gender_rank, age_group_rank, country_code,
+//   net_time_s   chip (start mat to finish) time — chip_time_s is accepted too
+//   gun_time_s   gun (official start to finish) time
+//   status       finished | dnf | dns | dq; read from a time cell saying
+//                "DNF" etc. when not given, otherwise finished with a time and
+//                DNF without one
+//   splits — [{ name, distance_m, time }], elapsed time from the start at each
+//            intermediate checkpoint (distance_m is read from the name when
+//            the provider doesn't give one)
+const { pool, queryOne } = require('../../db/client');
+
+const BATCH = 50;   // finishers per INSERT
+const SPLIT_BATCH = 200;
+
+const FINISHER_COLUMNS = [
+  'bib', 'name', 'gender', 'age_group', 'overall_rank', 'gender_rank',
+  'age_group_rank', 'chip_time_s', 'net_time_s', 'gun_time_s', 'status', 'country_code',
+];
+
+// ── Times ─────────────────────────────────────────────────────────────────────
+
+// "01:10:35", "1:10:35", "01:21:37,03", "1:10:35.4", "42:10" or seconds as a
+// number → whole seconds (fractions dropped, as results pages show them)
+function parseTimeToSeconds(val) {
+  if (val == null || val === '') return null;
+  if (typeof val === 'number') return Number.isFinite(val) ? Math.floor(val) : null;
+  const clean = String(val).trim().split(',')[0];
+  const parts = clean.split(':').map(Number);
+  if (parts.some(isNaN)) return null;
+  let s = null;
+  if (parts.length === 3) s = parts[0] * 3600 + parts[1] * 60 + parts[2];
+  else if (parts.length === 2) s = parts[0] * 60 + parts[1];
+  else if (parts.length === 1) s = parts[0];
+  return s != null ? Math.floor(s) : null;
+}
+
+// Seconds → "H:MM:SS" (or "M:SS" under an hour)
+function fmtTime(s) {
+  if (!s) return null;
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const sec = s % 60;
+  return h > 0
+    ? `${h}:${String(m).padStart(2,'0')}:${String(sec).padStart(2,'0')}`
+    : `${m}:${String(sec).padStart(2,'0')}`;
+}
+
+// ── Checkpoints ───────────────────────────────────────────────────────────────
+
+// A checkpoint's distance from its label: "5K", "Split 10 km", "Time15K",
+// "KM 7", "10 mi", "800m", "Half" / "Medio" → metres, or null
+function checkpointDistance(label) {
+  const s = String(label ?? '').toLowerCase();
+  if (/\b(half|medio|media|hm)\b|21[.,]1/.test(s)) return 21097.5;
+  let m = s.match(/(\d+(?:[.,]\d+)?)\s*(?:km|k)(?![a-z])/) || s.match(/\bkm\s*(\d+(?:[.,]\d+)?)/);
+  if (m) return parseFloat(m[1].replace(',', '.')) * 1000;
+  m = s.match(/(\d+(?:[.,]\d+)?)\s*(?:mi|miles?|millas?)(?![a-z])/);
+  if (m) return parseFloat(m[1].replace(',', '.')) * 1609.344;
+  m = s.match(/(\d+)\s*m(?![a-z])/);
+  return m ? parseInt(m[1]) : null;
+}
+
+const FINISH_LABEL = /^(finish|final|meta|llegada|total)\b/i;
+
+// Valid intermediate splits in course order: a name, a time before the
+// finish, no repeated checkpoint
+function cleanSplits(splits, finishS) {
+  if (!Array.isArray(splits)) return [];
+  const seen = new Set();
+  return splits
+    .map(sp => {
+      const name = textOrNull(sp?.name);
+      const time = parseTimeToSeconds(sp?.time);
+      if (!name || FINISH_LABEL.test(name) || !(time > 0)) return null;
+      if (finishS && time >= finishS) return null;
+      const dist = parseFloat(sp.distance_m);
+      return { name: name.slice(0, 50), distance_m: dist > 0 ? dist : checkpointDistance(name), time_s: time };
+    })
+    .filter(sp => sp && !seen.has(sp.name.toLowerCase()) && seen.add(sp.name.toLowerCase()))
+    .sort((a, b) => a.time_s - b.time_s);
+}
+
+// ── Finishers ─────────────────────────────────────────────────────────────────
+
+// "M", "Female", "Masculino", "Mujer", 1 … → 1 (M) / 2 (F) / null
+function parseGender(v) {
+  const s = String(v ?? '').trim().toLowerCase();
+  if (/^(m|male|men|man|masc(ulino)?|hombres?|h|v|var[oó]n|1)$/.test(s)) return 1;
+  if (/^(f|female|women|woman|fem(enino)?|mujer(es)?|w|2)$/.test(s)) return 2;
+  return null;
+}
+
+// "DNF", "Did not start", "DSQ", "Descalificado", "Finished" … → a status, or
+// null when the text isn't one (e.g. it's a time)
+function parseStatus(v) {
+  const s = String(v ?? '').trim().toLowerCase();
+  if (!s) return null;
+  if (/^(finish(ed)?|fin|ok|llegó|llego|finalizado)$/.test(s)) return 'finished';
+  if (/^(dnf|did not finish|ret(ired|irado)?|abandon[oó]?|aband|no (termin[oó]|lleg[oó]))$/.test(s)) return 'dnf';
+  if (/^(dns|did not start|no show|ns|no sali[oó]|ausente)$/.test(s)) return 'dns';
+  if (/^(dq|dsq|disq(ualified)?|descalificad[oa])$/.test(s)) return 'dq';
+  return null;
+}
+
+function intOrNull(v) {
+  const n = parseInt(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function textOrNull(v) {
+  if (v == null) return null;
+  const s = String(v).trim();
+  return s || null;
+}
+
+// Coerces a provider's finisher to the schema; null when there's no name.
+// chip_time_s becomes the time the race is ranked by — net time, else gun
+// time — and is only set for finishers, as are the ranks: DNF / DNS / DQ rows
+// keep whatever times they had in net_time_s / gun_time_s.
+function finisher(f) {
+  const name = textOrNull(f.name);
+  if (!name) return null;
+  const rawNet = f.net_time_s ?? f.chip_time_s;
+  const net = parseTimeToSeconds(rawNet) || null;
+  const gun = parseTimeToSeconds(f.gun_time_s) || null;
+  const status = parseStatus(f.status) || parseStatus(rawNet) || parseStatus(f.gun_time_s)
+    || (net || gun ? 'finished' : 'dnf');
+  const done = status === 'finished' && (net || gun);
+  const chip = done ? net ?? gun : null;
+  return {
+    bib:            textOrNull(f.bib),
+    name,
+    gender:         f.gender === 1 || f.gender === 2 ? f.gender : null,
+    age_group:      textOrNull(f.age_group),
+    overall_rank:   done ? intOrNull(f.overall_rank) : null,
+    gender_rank:    done ? intOrNull(f.gender_rank) : null,
+    age_group_rank: done ? intOrNull(f.age_group_rank) : null,
+    chip_time_s:    chip,
+    net_time_s:     net,
+    gun_time_s:     gun,
+    status:         done ? 'finished' : status === 'finished' ? 'dnf' : status,
+    country_code:   textOrNull(f.country_code),
+    splits:         cleanSplits(f.splits, chip),
+  };
+}
+
+// "CSILO Run 2025 — 5K" → "csilo-run-2025-5k", for keys of imports without IDs
+function slug(s) {
+  return String(s).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// ── Writer ────────────────────────────────────────────────────────────────────
+// Races are keyed by (sporthive_event_id, sporthive_race_id) — the columns
+// predate other providers, so each provider puts its own IDs there.
+
+async function findImportedRace(eventKey, raceKey) {
+  return queryOne(
+    `SELECT id, total_finishers FROM race_events WHERE sporthive_event_id=$1 AND sporthive_race_id=$2`,
+    [eventKey, raceKey]
+  );
+}
+
+// Replaces any earlier import of the race, then inserts the event, its
+// finishers and their splits — all in one transaction, so a failed re-import
+// leaves the previous results in place. `meta`: { event_name, race_name,
+// event_date, distance_m, location }
+async function writeRace({ eventKey, raceKey, meta, finishers }) {
+  const client = await pool.connect();
+  const q = async (sql, params) => (await client.query(sql, params)).rows;
+  try {
+    await q('BEGIN');
+    await q(  // finishers and splits cascade
+      `DELETE FROM race_events WHERE sporthive_event_id=$1 AND sporthive_race_id=$2`,
+      [eventKey, raceKey]
+    );
+
+    const [raceEvent] = await q(`
+      INSERT INTO race_events (
+        sporthive_event_id, sporthive_race_id,
+        event_name, race_name, event_date,
+        distance_m, location, total_finishers
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+      RETURNING id
+    `, [
+      eventKey, raceKey,
+      meta.event_name, meta.race_name || null, meta.event_date || null,
+      meta.distance_m || null, meta.location || null, finishers.filter(finished).length,
+    ]);
+
+    const cols = FINISHER_COLUMNS.length + 1;
+    for (let i = 0; i < finishers.length; i += BATCH) {
+      const batch = finishers.slice(i, i + BATCH);
+      const values = batch.map((f, j) =>
+        `(${Array.from({ length: cols }, (_, k) => `$${j * cols + k + 1}`).join(',')})`);
+      const params = batch.flatMap(f => [raceEvent.id, ...FINISHER_COLUMNS.map(c => f[c] ?? null)]);
+      // A multi-row VALUES insert returns its ids in row order
+      const ids = await q(`
+        INSERT INTO race_finishers (race_event_id, ${FINISHER_COLUMNS.join(', ')})
+        VALUES ${values.join(',')}
+        RETURNING id
+      `, params);
+      await writeSplits(q, batch.flatMap((f, j) =>
+        (f.splits || []).map((sp, k) => [ids[j].id, raceEvent.id, k + 1, sp.name, sp.distance_m, sp.time_s])));
+    }
+    await q('COMMIT');
+    return raceEvent.id;
+  } catch (e) {
+    await q('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// rows: [finisher_id, race_event_id, seq, name, distance_m, split_s]; `q` runs
+// a query on writeRace's transaction
+async function writeSplits(q, rows) {
+  for (let i = 0; i < rows.length; i += SPLIT_BATCH) {
+    const batch = rows.slice(i, i + SPLIT_BATCH);
+    const values = batch.map((_, j) => `(${[1, 2, 3, 4, 5, 6].map(k => `$${j * 6 + k}`).join(',')})`);
+    await q(`
+      INSERT INTO race_finisher_splits (finisher_id, race_event_id, seq, name, distance_m, split_s)
+      VALUES ${values.join(',')}
+    `, batch.flat());
+  }
+}
+
+function finished(f) {
+  return f.status === 'finished';
+}
+
+// { dnf, dns, dq } counts
+function nonFinishers(finishers) {
+  const counts = { dnf: 0, dns: 0, dq: 0 };
+  finishers.forEach(f => { if (f.status in counts) counts[f.status]++; });
+  return counts;
+}
+
+// The import response every provider returns on success. total_finishers
+// counts finishers only; the rest are in non_finishers.
+function importSummary(raceEventId, rows, extra = {}) {
+  const finishers = rows.filter(finished);
+  const ageCounts = finishers.reduce((acc, f) => {
+    const k = f.age_group || 'Unknown';
+    acc[k] = (acc[k] || 0) + 1;
+    return acc;
+  }, {});
+  return {
+    ok: true,
+    race_event_id: raceEventId,
+    ...extra,
+    total_finishers: finishers.length,
+    non_finishers: nonFinishers(rows),
+    age_groups: Object.keys(ageCounts).length,
+    age_group_breakdown: ageCounts,
+    sample: finishers.slice(0, 3).map(f => ({
+      rank: f.overall_rank, bib: f.bib, name: f.name,
+      category: f.age_group, time: fmtTime(f.chip_time_s),
+    })),
+  };
+}
+
+module.exports = {
+  parseTimeToSeconds, fmtTime, parseGender, parseStatus, checkpointDistance, finisher, slug,
+  findImportedRace, writeRace, importSummary, nonFinishers,
+};
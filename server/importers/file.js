@@ -0,0 +1,280 @@
+// server/importers/file.js — Race results from an uploaded CSV / XLSX file
+// For races whose results only exist as a spreadsheet the organizer emails
+// out. The admin maps the file's columns onto the finisher schema
+// (server/importers/common.js), previews the result, then imports; the write,
+// replace and summary steps are the same as for the URL providers.
+//
+// A file has no event ID, so uploads are keyed by date and name:
+//   event key  file-<event date>        (file-undated without one)
+//   race key   <event + race name, slugged>
+// Uploading the same race again is then "already imported" unless replacing.
+const { readSpreadsheet } = require('../spreadsheet');
+const {
+  parseTimeToSeconds, parseGender, parseStatus, slug, finisher, findImportedRace, writeRace, importSummary,
+  nonFinishers,
+} = require('./common');
+
+const HEADER_SCAN_ROWS = 10;   // title rows organizers put above the header
+const PREVIEW_ROWS = 10;
+const MAX_ERRORS = 50;
+// race_finishers column sizes — one longer value would fail the whole import
+const MAX_LENGTH = { bib: 20, name: 200, age_group: 30, country_code: 200 };
+
+// Columns the admin can map, with header names we recognise (English and
+// Spanish). Checked in order and each column goes to the first match, so the
+// specific rank headers come before the generic ones.
+const FIELDS = [
+  { key: 'bib',            label: 'Bib',            match: /^(bib|bib ?(no|number|#)|dorsal|n[uú]m(ero)?|number|no)$/ },
+  { key: 'name',           label: 'Name',           match: /^(name|full ?name|nombre( completo)?|atleta|athlete|participante?|runner|corredora?)$/ },
+  { key: 'first_name',     label: 'First name',     match: /^(first ?name|given ?name|primer nombre)$/ },
+  { key: 'last_name',      label: 'Last name',      match: /^(last ?name|surname|family ?name|apellidos?)$/ },
+  { key: 'gender',         label: 'Gender',         match: /^(gender|sex|sexo|g[eé]nero|rama)$/ },
+  { key: 'gender_rank',    label: 'Gender place',   match: /^((gender|sex|sexo|g[eé]nero|rama) ?(place|rank|pos(ition)?|lugar)|(pos(ici[oó]n)?|lugar) ?(sexo|g[eé]nero|rama))$/ },
+  { key: 'age_group_rank', label: 'Age group place', match: /^((age ?group|category|categor[ií]a|div(ision)?|cat) ?(place|rank|pos(ition)?|lugar)|(pos(ici[oó]n)?|lugar) ?(cat(egor[ií]a)?|div(isi[oó]n)?))$/ },
+  { key: 'age_group',      label: 'Age group',      match: /^(age ?group|category|categor[ií]a|div(ision|isi[oó]n)?|grupo( de edad)?|class|cat)$/ },
+  { key: 'gun_time',       label: 'Gun time',       match: /^(gun( ?time)?|clock( ?time)?|tiempo (oficial|bruto|pistola))$/ },
+  { key: 'chip_time',      label: 'Chip time',      match: /^(chip( ?time)?|net( ?time)?|time|finish( ?time)?|official time|tiempo( neto| chip| final)?)$/ },
+  { key: 'overall_rank',   label: 'Overall place',  match: /^(place|pos(ition|ici[oó]n)?|overall( place| rank)?|rank|lugar|puesto|clasificaci[oó]n|general)$/ },
+  { key: 'status',         label: 'Status',         match: /^(status|estado|estatus|result status)$/ },
+  { key: 'country_code',   label: 'Country',        match: /^(country|nation(ality)?|pa[ií]s|nac(ionalidad)?)$/ },
+];
+const FIELD_KEYS = FIELDS.map(f => f.key);
+
+class FileImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'FileImportError';
+    this.status = status;
+  }
+}
+
+// ── Columns ───────────────────────────────────────────────────────────────────
+
+function isBlank(row) {
+  return !row.some(v => v != null && v !== '');
+}
+
+function normHeader(h) {
+  return String(h ?? '').toLowerCase().replace(/[._:]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// The row among the first few with the most text cells
+function headerRowIndex(rows) {
+  let best = 0, bestN = -1;
+  rows.slice(0, HEADER_SCAN_ROWS).forEach((r, i) => {
+    const n = r.filter(v => typeof v === 'string' && /[a-z]/i.test(v)).length;
+    if (n > bestN) { best = i; bestN = n; }
+  });
+  return best;
+}
+
+// { field → column index } guessed from the header names
+function suggestMapping(headers) {
+  const mapping = {};
+  headers.forEach((h, i) => {
+    const norm = normHeader(h);
+    const f = FIELDS.find(f => mapping[f.key] == null && f.match.test(norm));
+    if (f) mapping[f.key] = i;
+  });
+  // "Nombre" next to "Apellidos" is a first name, not the full name
+  if (mapping.last_name != null && mapping.name != null && mapping.first_name == null) {
+    mapping.first_name = mapping.name;
+    delete mapping.name;
+  }
+  return mapping;
+}
+
+// Keeps known fields that point at a real column
+function cleanMapping(mapping, width) {
+  const out = {};
+  for (const [k, v] of Object.entries(mapping || {})) {
+    const i = parseInt(v);
+    if (FIELD_KEYS.includes(k) && i >= 0 && i < width) out[k] = i;
+  }
+  return out;
+}
+
+// ── Values ────────────────────────────────────────────────────────────────────
+
+// Spreadsheet times are fractions of a day; CSV ones "H:MM:SS(.cc)" text
+function parseTime(v) {
+  if (typeof v === 'number') return v > 0 && v < 1 ? Math.round(v * 86400) : Math.floor(v);
+  const s = String(v ?? '').trim();
+  if (!/^\d{1,2}(:\d{1,2}){1,2}([.,]\d+)?$/.test(s)) return null;
+  return parseTimeToSeconds(s.replace('.', ','));
+}
+
+function parseRank(v) {
+  if (v == null || v === '') return null;
+  const n = parseInt(String(v).replace(/[^\d]/g, ''));
+  return n > 0 ? n : NaN;
+}
+
+// Finish order within each group, for ranks the file doesn't carry
+function fillRanks(finishers, key, groupOf) {
+  const counts = new Map();
+  finishers.filter(f => f.status === 'finished')
+    .sort((a, b) => (a.chip_time_s ?? Infinity) - (b.chip_time_s ?? Infinity))
+    .forEach(f => {
+      const g = groupOf(f);
+      if (g == null) return;
+      const n = (counts.get(g) || 0) + 1;
+      counts.set(g, n);
+      f[key] = n;
+    });
+}
+
+// ── Rows → finishers ──────────────────────────────────────────────────────────
+// { headers, rows, mapping, finishers, errors } — `rows` are the non-blank
+// rows below the header; errors name the spreadsheet row (1-based, as the
+// organizer sees it) and are left out of `finishers`. DNF / DNS / DQ rows —
+// a status column, or a time cell saying so — are finishers with that status.
+function readResults(buf, filename, mapping) {
+  let all;
+  try {
+    all = readSpreadsheet(buf, filename);
+  } catch (e) {
+    throw new FileImportError(`Could not read ${filename || 'the file'}: ${e.message}`);
+  }
+  const h = headerRowIndex(all);
+  const rows = all.slice(h + 1).map((r, i) => ({ r, i })).filter(({ r }) => !isBlank(r));
+  if (!rows.length) throw new FileImportError('The file has no rows below its header');
+
+  const headers = (all[h] || []).map((v, i) => v != null ? String(v) : `Column ${i + 1}`);
+  const width = Math.max(...all.map(r => r.length));
+  while (headers.length < width) headers.push(`Column ${headers.length + 1}`);
+  const map = mapping ? cleanMapping(mapping, width) : suggestMapping(headers);
+
+  const finishers = [];
+  const errors = [];
+  const bibs = new Set();
+  const cell = (r, k) => map[k] != null ? r[map[k]] ?? null : null;
+  const fail = (i, msg) => errors.push({ row: i + h + 2, error: msg });
+
+  rows.forEach(({ r, i }) => {
+    const name = cell(r, 'name') ?? [cell(r, 'first_name'), cell(r, 'last_name')].filter(v => v != null).join(' ');
+    if (!String(name ?? '').trim()) return fail(i, 'no name');
+
+    const rawStatus = cell(r, 'status');
+    const status = parseStatus(rawStatus) || parseStatus(cell(r, 'chip_time')) || parseStatus(cell(r, 'gun_time'));
+    if (rawStatus != null && !status) return fail(i, `unrecognised status "${rawStatus}"`);
+    const times = {};
+    for (const [k, col] of [['net_time_s', 'chip_time'], ['gun_time_s', 'gun_time']]) {
+      const raw = cell(r, col);
+      times[k] = raw != null ? parseTime(raw) : null;
+      if (raw != null && !times[k] && !parseStatus(raw)) return fail(i, `unrecognised time "${raw}"`);
+    }
+    if (!times.net_time_s && !times.gun_time_s && (!status || status === 'finished')) return fail(i, 'no time');
+
+    const ranks = {};
+    for (const k of ['overall_rank', 'gender_rank', 'age_group_rank']) {
+      ranks[k] = parseRank(cell(r, k));
+      if (Number.isNaN(ranks[k])) return fail(i, `${k.replace(/_/g, ' ')} "${cell(r, k)}" is not a number`);
+    }
+
+    const bib = cell(r, 'bib') != null ? String(cell(r, 'bib')).replace(/\.0$/, '') : null;
+    if (bib && bibs.has(bib)) return fail(i, `bib ${bib} appears twice`);
+    if (bib) bibs.add(bib);
+
+    const gender = map.gender != null ? parseGender(cell(r, 'gender')) : null;
+    if (map.gender != null && cell(r, 'gender') != null && !gender) {
+      return fail(i, `unrecognised gender "${cell(r, 'gender')}"`);
+    }
+
+    const f = finisher({
+      bib, name, gender,
+      age_group:    cell(r, 'age_group'),
+      ...ranks,
+      ...times,
+      status,
+      country_code: cell(r, 'country_code'),
+    });
+    const long = Object.keys(MAX_LENGTH).find(k => f[k] && f[k].length > MAX_LENGTH[k]);
+    if (long) return fail(i, `${long.replace(/_/g, ' ')} is over ${MAX_LENGTH[long]} characters`);
+    finishers.push(f);
+  });
+
+  if (map.overall_rank == null) fillRanks(finishers, 'overall_rank', () => 'all');
+  if (map.gender_rank == null && map.gender != null) fillRanks(finishers, 'gender_rank', f => f.gender);
+  if (map.age_group_rank == null && map.age_group != null) fillRanks(finishers, 'age_group_rank', f => f.age_group);
+  finishers.sort((a, b) => (a.overall_rank ?? Infinity) - (b.overall_rank ?? Infinity));
+
+  return { headers, rows: rows.map(({ r }) => r), mapping: map, finishers, errors };
+}
+
+function requireMapping(map) {
+  if (map.name == null && map.first_name == null && map.last_name == null) {
+    throw new FileImportError('Map a name column (or first / last name)');
+  }
+  if (map.chip_time == null && map.gun_time == null) {
+    throw new FileImportError('Map a chip or gun time column');
+  }
+}
+
+// ── Preview / import ──────────────────────────────────────────────────────────
+
+// What the admin page shows before importing. Without a mapping, one is
+// guessed from the headers.
+function previewFile(buf, filename, mapping = null) {
+  const r = readResults(buf, filename, mapping);
+  let mappingError = null;
+  try { requireMapping(r.mapping); } catch (e) { mappingError = e.message; }
+  return {
+    filename,
+    mapping_error: mappingError,
+    fields: FIELDS.map(({ key, label }) => ({ key, label })),
+    headers: r.headers,
+    mapping: r.mapping,
+    total_rows: r.rows.length,
+    valid_rows: r.finishers.length,
+    non_finishers: nonFinishers(r.finishers),
+    error_count: r.errors.length,
+    errors: r.errors.slice(0, MAX_ERRORS),
+    sample_rows: r.rows.slice(0, PREVIEW_ROWS),
+    finishers: r.finishers.slice(0, PREVIEW_ROWS),
+  };
+}
+
+// `opts`: mapping, replace and the race_events fields (event_name required)
+async function importFile(buf, filename, opts = {}) {
+  if (!opts.event_name) throw new FileImportError('event_name is required');
+  const r = readResults(buf, filename, opts.mapping);
+  requireMapping(r.mapping);
+  if (!r.finishers.length) {
+    throw new FileImportError(`No valid rows — first problem: row ${r.errors[0]?.row}: ${r.errors[0]?.error}`);
+  }
+
+  const eventKey = `file-${opts.event_date || 'undated'}`;
+  const raceKey = slug([opts.event_name, opts.race_name].filter(Boolean).join(' ')).slice(0, 100) || 'race';
+  const existing = await findImportedRace(eventKey, raceKey);
+  if (existing && !opts.replace) {
+    return {
+      ok: false,
+      already_imported: true,
+      race_event_id: existing.id,
+      total_finishers: existing.total_finishers,
+      message: `Already imported with ${existing.total_finishers} finishers. Use replace=true to re-import.`,
+    };
+  }
+
+  const meta = {
+    event_name: opts.event_name,
+    race_name:  opts.race_name || null,
+    event_date: opts.event_date || null,
+    distance_m: parseFloat(opts.distance_m) || null,
+    location:   opts.location || null,
+  };
+  const raceEventId = await writeRace({ eventKey, raceKey, meta, finishers: r.finishers });
+  console.log(`Imported ${r.finishers.length} finishers from ${filename} (${eventKey}/${raceKey})`);
+  return importSummary(raceEventId, r.finishers, {
+    provider: 'file',
+    event_id: eventKey,
+    race_id: raceKey,
+    event_name: meta.event_name,
+    filename,
+    error_count: r.errors.length,
+    errors: r.errors.slice(0, MAX_ERRORS),
+  });
+}
+
+module.exports = { previewFile, importFile, suggestMapping, FileImportError, FIELDS };
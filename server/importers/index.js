@@ -0,0 +1,88 @@
+// server/importers/index.js — Registry of race-results providers
+// Every timing provider is one module in this directory exporting:
+//   id, name, example     identity, and a sample URL for the admin page
+//   urlPattern            RegExp matched against the results URL
+//   options               extra admin fields, [{ name, label, placeholder }]
+//   parseUrl(url)         → { eventKey, raceKey, … } (raceKey null: pick a race)
+//   discoverRaces(keys)   optional → [{ id, name, distance, participants }]
+//   fetchResults(keys, opts)
+//                         → { finishers, meta, extra } — finishers in the
+//                           schema of server/importers/common.js, meta any of
+//                           event_name / race_name / event_date / location
+// Everything else — the already-imported check, the database writes and the
+// summary — happens here, the same way for every provider.
+const { finisher, findImportedRace, writeRace, importSummary } = require('./common');
+
+const PROVIDERS = [
+  require('./sporthive'),
+  require('./raceresult'),
+  require('./racerecord-com'),
+];
+
+const META_FIELDS = ['event_name', 'race_name', 'event_date', 'distance_m', 'location'];
+
+function providerFor(url) {
+  return PROVIDERS.find(p => p.urlPattern.test(url)) || null;
+}
+
+// What the admin page needs to list providers and recognise URLs
+function listProviders() {
+  return PROVIDERS.map(p => ({
+    id: p.id,
+    name: p.name,
+    example: p.example,
+    url_pattern: p.urlPattern.source,
+    url_flags: p.urlPattern.flags,
+    options: p.options || [],
+    selects_race: !!p.discoverRaces,
+  }));
+}
+
+// `opts` is the admin form: race_id, replace, the META_FIELDS (which win over
+// what the provider found) and any provider options. With `probe` set nothing
+// is fetched or written beyond the race list of an event URL.
+async function importFromUrl(url, opts = {}) {
+  const provider = providerFor(url);
+  if (!provider) {
+    throw new Error(`No importer for this URL. Supported: ${PROVIDERS.map(p => `${p.name} (${p.example})`).join(', ')}`);
+  }
+  const keys = provider.parseUrl(url);
+  if (opts.race_id && provider.discoverRaces) keys.raceKey = String(opts.race_id);
+
+  if (!keys.raceKey) {
+    const races = await provider.discoverRaces(keys);
+    return { ok: false, needs_race_selection: true, provider: provider.id, eventId: keys.eventKey, races };
+  }
+  if (opts.probe) return { ok: false, needs_race_selection: false, provider: provider.id };
+
+  const existing = await findImportedRace(keys.eventKey, keys.raceKey);
+  if (existing && !opts.replace) {
+    return {
+      ok: false,
+      already_imported: true,
+      race_event_id: existing.id,
+      total_finishers: existing.total_finishers,
+      message: `Already imported with ${existing.total_finishers} finishers. Use replace=true to re-import.`,
+    };
+  }
+
+  const result = await provider.fetchResults(keys, opts);
+  const finishers = result.finishers.map(finisher).filter(Boolean);
+  if (!finishers.length) throw new Error(`${provider.name} returned no finishers`);
+
+  const meta = {};
+  for (const k of META_FIELDS) meta[k] = opts[k] || result.meta?.[k] || null;
+  if (meta.distance_m) meta.distance_m = parseFloat(meta.distance_m) || null;
+
+  const raceEventId = await writeRace({ eventKey: keys.eventKey, raceKey: keys.raceKey, meta, finishers });
+  console.log(`Imported ${finishers.length} finishers from ${provider.name} (${keys.eventKey}/${keys.raceKey})`);
+  return importSummary(raceEventId, finishers, {
+    provider: provider.id,
+    event_id: keys.eventKey,
+    race_id: keys.raceKey,
+    event_name: meta.event_name,
+    ...result.extra,
+  });
+}
+
+module.exports = { importFromUrl, listProviders, providerFor, PROVIDERS };
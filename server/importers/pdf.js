@@ -0,0 +1,311 @@
+// server/importers/pdf.js — Race results from a results PDF (or its text)
+// Timing companies print results as a PDF of sections — a race, then its
+// overall / gender / age-group lists — each a run of numbered rows. A profile
+// says how one company's layout reads, as regular expressions (strings,
+// always case-insensitive):
+//   skip              lines to ignore (page headers, page numbers)
+//   races             [{ match, key, name, distance_m }] — headers that start
+//                     a race; several headers may share a key. Without any,
+//                     the whole file is one race.
+//   race_rank         which rank a race's own list gives: overall | gender | age_group
+//   sections          [{ match, rank, gender, age_group }] — sub-headers inside
+//                     a race; `rank` as above, gender / age_group are
+//                     templates over the header's groups ($0 = whole line)
+//   row               a result line, with named groups rank, bib, name and
+//                     times (every time on the line) — gender / age_group /
+//                     status (DNF, DSQ … in place of a rank) optional
+//   finish_time       'last' or 'first' time on the row
+//   inline_age_group  an age group printed at the end of the name column
+// The same runner shows up in several sections; rows merge by bib (name when
+// there's no bib), each section filling in its rank. Profiles are saved per
+// timing company in pdf_import_profiles, next to the built-in ones below.
+const { query, queryOne } = require('../../db/client');
+const { extractPdfText, isPdf } = require('../pdf');
+const {
+  parseTimeToSeconds, parseGender, slug, finisher, findImportedRace, writeRace, importSummary,
+  nonFinishers,
+} = require('./common');
+const { FileImportError } = require('./file');
+
+const PREVIEW_ROWS = 10;
+const MAX_UNMATCHED = 30;
+const RANKS = { overall: 'overall_rank', gender: 'gender_rank', age_group: 'age_group_rank' };
+
+// Matches both "HH:MM:SS,cc" and "MM:SS" style times
+const TIME_TOKEN = /\b\d{1,2}:\d{2}(?::\d{2})?(?:[,.]\d{1,3})?\b/g;
+
+// The layout of the CSILO Run 2025 PDF (race result's PDF export, Spanish
+// race names); a starting point for other race result events
+const BUILTIN_PROFILES = {
+  'race result — CSILO Run': {
+    skip: '^(CSILO Run|Results|Pl\\.\\s+Bib|\\d+\\s*$)',
+    races: [
+      { match: '^Half Marathon$',   key: 'hm', name: 'Half Marathon', distance_m: 21097 },
+      { match: '^Silla de ruedas$', key: 'hm', name: 'Half Marathon', distance_m: 21097 },
+      { match: '^5K$',              key: '5k', name: '5K',            distance_m: 5000 },
+    ],
+    race_rank: 'overall',
+    sections: [
+      { match: '^overall$', rank: 'age_group', age_group: 'Overall' },
+      { match: '^(Female|Male)$', rank: 'gender', gender: '$1' },
+      { match: '^(Female|Male)\\s+(\\d{1,2}[-+]\\d{0,2}|\\d{2}\\+)$', rank: 'age_group', gender: '$1', age_group: '$0' },
+      { match: '^Open\\s+(F|M)$', rank: 'age_group', gender: '$1', age_group: 'Open $1' },
+    ],
+    row: '^(?:(?<rank>\\d+)\\.\\s+|(?<status>DNF|DNS|DSQ|DQ)\\s*)(?<bib>\\d+)\\s+(?<name>.*?)\\s+(?<times>\\d{1,2}:\\d{2}.*)$',
+    finish_time: 'last',
+    inline_age_group: '\\s+((?:(?:Female|Male)\\s+(?:\\d{1,2}[-+]\\d{0,2}|\\d{2}\\+))|Open\\s+[FM]|overall)\\s*$',
+  },
+};
+
+// ── Profiles ──────────────────────────────────────────────────────────────────
+
+function compile(pattern, where) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (e) {
+    throw new FileImportError(`Bad pattern in ${where}: ${e.message}`);
+  }
+}
+
+function compileProfile(config) {
+  if (!config || typeof config !== 'object') throw new FileImportError('Profile must be a JSON object');
+  if (!config.row) throw new FileImportError('Profile needs a row pattern');
+  const row = compile(config.row, 'row');
+  const groups = new RegExp(`${row.source}|`).exec('').groups || {};
+  if (!('times' in groups) || !('bib' in groups || 'name' in groups)) {
+    throw new FileImportError('The row pattern needs named groups (?<times>…) and (?<bib>…) or (?<name>…)');
+  }
+  const rankOf = (r, where) => {
+    if (r && !RANKS[r]) throw new FileImportError(`${where}: rank must be overall, gender or age_group`);
+    return RANKS[r || 'overall'];
+  };
+  return {
+    skip: config.skip ? compile(config.skip, 'skip') : null,
+    races: (config.races || []).map((r, i) => ({
+      ...r, re: compile(r.match, `races[${i}]`), key: r.key || slug(r.name || `race-${i + 1}`),
+    })),
+    raceRank: rankOf(config.race_rank, 'race_rank'),
+    sections: (config.sections || []).map((s, i) => ({
+      ...s, re: compile(s.match, `sections[${i}]`), rankField: rankOf(s.rank, `sections[${i}]`),
+    })),
+    row,
+    last: config.finish_time !== 'first',
+    inlineAg: config.inline_age_group ? compile(config.inline_age_group, 'inline_age_group') : null,
+  };
+}
+
+async function listProfiles() {
+  const saved = await query(`SELECT name, config, updated_at FROM pdf_import_profiles ORDER BY name`);
+  const names = new Set(saved.map(p => p.name));
+  return [
+    ...Object.entries(BUILTIN_PROFILES)
+      .filter(([name]) => !names.has(name))
+      .map(([name, config]) => ({ name, config, builtin: true })),
+    ...saved.map(p => ({ ...p, builtin: false })),
+  ];
+}
+
+// A saved profile wins over a built-in of the same name
+async function getProfile(name) {
+  const row = await queryOne(`SELECT config FROM pdf_import_profiles WHERE name=$1`, [name]);
+  const config = row?.config || BUILTIN_PROFILES[name];
+  if (!config) throw new FileImportError(`Unknown profile "${name}"`, 404);
+  return config;
+}
+
+async function saveProfile(name, config) {
+  if (!name || String(name).length > 100) throw new FileImportError('Profile name is required (100 characters max)');
+  compileProfile(config);
+  return queryOne(`
+    INSERT INTO pdf_import_profiles (name, config) VALUES ($1, $2)
+    ON CONFLICT (name) DO UPDATE SET config=EXCLUDED.config, updated_at=NOW()
+    RETURNING name, config, updated_at
+  `, [name, JSON.stringify(config)]);
+}
+
+async function deleteProfile(name) {
+  const rows = await query(`DELETE FROM pdf_import_profiles WHERE name=$1 RETURNING name`, [name]);
+  return rows.length > 0;
+}
+
+// ── Parser ────────────────────────────────────────────────────────────────────
+
+// "$1" / "$0" in a section template → the header's groups
+function expand(template, m) {
+  if (template == null) return null;
+  return String(template).replace(/\$(\d)/g, (_, i) => m[+i] ?? '').trim() || null;
+}
+
+// Text → { races: [{ key, name, distance_m, finishers }], lines, unmatched }
+function parseResultsText(text, config) {
+  const p = compileProfile(config);
+  const races = new Map();
+  const unmatched = [];
+  let lines = 0;
+
+  let race = p.races.length ? null : { key: 'main', name: null, distance_m: null };
+  let section = { rankField: p.raceRank, gender: null, ageGroup: null };
+
+  const raceData = r => {
+    if (!races.has(r.key)) races.set(r.key, { key: r.key, name: r.name, distance_m: r.distance_m, byKey: new Map() });
+    return races.get(r.key);
+  };
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || p.skip?.test(line)) continue;
+    lines++;
+
+    const raceHeader = p.races.find(r => r.re.test(line));
+    if (raceHeader) {
+      race = raceHeader;
+      section = { rankField: p.raceRank, gender: null, ageGroup: null };
+      continue;
+    }
+    const sec = p.sections.find(s => s.re.test(line));
+    if (sec) {
+      const m = sec.re.exec(line);
+      section = {
+        rankField: sec.rankField,
+        gender:    parseGender(expand(sec.gender, m)),
+        ageGroup:  expand(sec.age_group, m),
+      };
+      continue;
+    }
+
+    const m = race && p.row.exec(line);
+    if (!m) {
+      if (unmatched.length < MAX_UNMATCHED) unmatched.push(line);
+      continue;
+    }
+    const g = m.groups;
+    const times = (g.times || '').match(TIME_TOKEN) || [];
+    if (!times.length && !g.status) continue;
+    const time = times.length ? parseTimeToSeconds(p.last ? times[times.length - 1] : times[0]) : null;
+
+    let name = (g.name || '').trim();
+    let inlineAg = null;
+    const agM = p.inlineAg?.exec(name);
+    if (agM) {
+      inlineAg = agM[1];
+      name = name.slice(0, agM.index).trim();
+    }
+    if (name === g.bib) name = '';   // bib-only rows (e.g. an elite overall list)
+
+    const bib = g.bib?.trim() || null;
+    const key = bib || name.toLowerCase();
+    if (!key) continue;
+
+    const data = raceData(race);
+    const f = data.byKey.get(key) || {};
+    f.bib ??= bib;
+    if (name) f.name ??= name;
+    f.gender ??= section.gender ?? parseGender(g.gender);
+    f.age_group ??= inlineAg || g.age_group?.trim() || section.ageGroup;
+    f.chip_time_s ??= time;
+    f.status ??= g.status || null;
+    const rank = parseInt(g.rank);
+    if (rank > 0) f[section.rankField] ??= rank;
+    data.byKey.set(key, f);
+  }
+
+  return {
+    lines,
+    unmatched,
+    races: [...races.values()].map(({ byKey, ...r }) => ({
+      ...r,
+      finishers: [...byKey.values()].map(finisher).filter(Boolean)
+        .sort((a, b) => (a.chip_time_s ?? Infinity) - (b.chip_time_s ?? Infinity)),
+    })),
+  };
+}
+
+// ── Preview / import ──────────────────────────────────────────────────────────
+
+// The PDF's text, or the file itself when it's already extracted text
+function resultsText(buf, filename) {
+  if (!isPdf(buf)) return buf.toString('utf8');
+  try {
+    return extractPdfText(buf);
+  } catch (e) {
+    throw new FileImportError(`Could not read ${filename || 'the PDF'}: ${e.message}`);
+  }
+}
+
+// `opts.config` (unsaved edits) or `opts.profile` (a name)
+async function profileConfig(opts) {
+  if (opts.config) return opts.config;
+  if (opts.profile) return getProfile(opts.profile);
+  throw new FileImportError('Pick a profile');
+}
+
+async function previewPdf(buf, filename, opts = {}) {
+  const text = resultsText(buf, filename);
+  const parsed = parseResultsText(text, await profileConfig(opts));
+  return {
+    filename,
+    lines: parsed.lines,
+    text_sample: text.split('\n').slice(0, 60),
+    unmatched: parsed.unmatched,
+    races: parsed.races.map(r => ({
+      key: r.key, name: r.name, distance_m: r.distance_m,
+      total_finishers: r.finishers.filter(f => f.status === 'finished').length,
+      non_finishers: nonFinishers(r.finishers),
+      finishers: r.finishers.slice(0, PREVIEW_ROWS),
+    })),
+  };
+}
+
+// Imports every race in the text. Keys follow server/importers/file.js
+// (file-<date> + slugged names) unless `event_key` is given — then each race
+// is keyed by its profile key, as the old one-off scripts did.
+async function importResultsText(text, opts = {}) {
+  if (!opts.event_name) throw new FileImportError('event_name is required');
+  const parsed = parseResultsText(text, await profileConfig(opts));
+  const races = parsed.races.filter(r => r.finishers.length);
+  if (!races.length) throw new FileImportError('No results found with this profile — check the preview');
+
+  const eventKey = opts.event_key || `file-${opts.event_date || 'undated'}`;
+  const results = [];
+  for (const race of races) {
+    const raceName = race.name || opts.race_name || null;
+    const raceKey = opts.event_key
+      ? race.key
+      : slug([opts.event_name, raceName].filter(Boolean).join(' ')).slice(0, 100) || 'race';
+
+    const existing = await findImportedRace(eventKey, raceKey);
+    if (existing && !opts.replace) {
+      results.push({
+        ok: false,
+        already_imported: true,
+        race_name: raceName,
+        race_event_id: existing.id,
+        total_finishers: existing.total_finishers,
+        message: `${raceName || 'Race'} already imported with ${existing.total_finishers} finishers. Use replace=true to re-import.`,
+      });
+      continue;
+    }
+    const meta = {
+      event_name: opts.event_name,
+      race_name:  raceName,
+      event_date: opts.event_date || null,
+      distance_m: race.distance_m || parseFloat(opts.distance_m) || null,
+      location:   opts.location || null,
+    };
+    const raceEventId = await writeRace({ eventKey, raceKey, meta, finishers: race.finishers });
+    console.log(`Imported ${race.finishers.length} finishers for ${raceName || raceKey} (${eventKey}/${raceKey})`);
+    results.push(importSummary(raceEventId, race.finishers, {
+      provider: 'pdf', event_id: eventKey, race_id: raceKey, event_name: meta.event_name, race_name: raceName,
+    }));
+  }
+  return { ok: results.some(r => r.ok), races: results, unmatched_lines: parsed.unmatched.length };
+}
+
+async function importPdf(buf, filename, opts = {}) {
+  return importResultsText(resultsText(buf, filename), opts);
+}
+
+module.exports = {
+  previewPdf, importPdf, importResultsText, parseResultsText,
+  listProfiles, getProfile, saveProfile, deleteProfile, BUILTIN_PROFILES,
+};
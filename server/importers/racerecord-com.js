@@ -0,0 +1,180 @@
+// server/importers/racerecord-com.js — racerecord.com leaderboard pages
+// HTML is server-rendered; we parse the "Time" tab for finish times. The main
+// page only lists the top of the field, so every division page is fetched too
+// and merged by bib — which also gives us age groups and their ranks.
+const fetch = require('node-fetch');
+const { parseTimeToSeconds } = require('./common');
+
+const UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const DELAY_MS = 1500; // delay between division requests to avoid bot detection
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+// ── URL ───────────────────────────────────────────────────────────────────────
+// racerecord.com/race/leaderboard/{id}/… — keys predate the registry
+function parseUrl(url) {
+  const m = url.match(/racerecord\.com\/race\/leaderboard\/(\d+)/);
+  if (!m) throw new Error(`Cannot parse race ID from racerecord.com URL: ${url}`);
+  return { eventKey: `racerecord-${m[1]}`, raceKey: 'main', raceId: m[1] };
+}
+
+// ── Fetch leaderboard HTML page, optionally filtered by division ──────────────
+async function fetchLeaderboard(raceId, division = null) {
+  const base = `https://racerecord.com/race/leaderboard/${raceId}`;
+  const url  = division ? `${base}?leaderboardDivision=${encodeURIComponent(division)}` : base;
+  const res  = await fetch(url, {
+    headers: {
+      'User-Agent':      UA,
+      'Accept':          'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.5',
+      'Referer':         'https://racerecord.com/',
+    },
+    timeout: 20000,
+  });
+  if (!res.ok) throw new Error(`racerecord.com fetch failed: ${res.status} for ${url}`);
+  const text = await res.text();
+  if (text.includes('automated behavior patterns')) {
+    throw new Error('racerecord.com blocked the request. Try again later.');
+  }
+  return text;
+}
+
+// ── Parse event metadata from JSON-LD embedded in the page ───────────────────
+function parseMeta(html) {
+  const ldMatch = html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/);
+  const meta = {};
+  if (ldMatch) {
+    try {
+      const ld = JSON.parse(ldMatch[1]);
+      meta.event_name = ld.name || null;
+      meta.race_name  = ld.name || null;
+      if (ld.startDate) {
+        // Normalize "2026-3-1" → "2026-03-01"
+        const parts = ld.startDate.split('-');
+        if (parts.length === 3) {
+          meta.event_date = `${parts[0]}-${parts[1].padStart(2,'0')}-${parts[2].padStart(2,'0')}`;
+        }
+      }
+      if (ld.location && ld.location.address) {
+        const a = ld.location.address;
+        meta.location = [a.addressLocality, a.addressRegion].filter(Boolean).join(', ');
+      }
+    } catch(e) {}
+  }
+  return meta;
+}
+
+// ── Extract all division codes from the division select dropdown ──────────────
+function parseDivisions(html) {
+  const re = /leaderboardDivision=([A-Z0-9+]+)['"&]/g;
+  const seen = new Set();
+  let m;
+  while ((m = re.exec(html)) !== null) seen.add(m[1]);
+  return [...seen];
+}
+
+// ── Strip HTML tags and decode basic entities ─────────────────────────────────
+function strip(html) {
+  return html
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ')
+    .replace(/&#?\w+;/g, ' ')
+    .replace(/\s+/g, ' ').trim();
+}
+
+// ── Parse finisher rows from the "Time" tab in the leaderboard HTML ───────────
+// Returns [{ bib, name, gender, overall_rank, net_time_s }] — rows whose time
+// cell says DNF / DNS / DQ are kept; common.js reads the status from it
+function parseFinishers(html) {
+  // Start from the active tab-pane (the "Time"/finish tab)
+  let tableHtml = html;
+  const activeDivMatch = html.match(/class='tab-pane[^']*active[^']*'\s+id='(pills-\d+)'/);
+  if (activeDivMatch) {
+    const divIdx = html.indexOf(`id='${activeDivMatch[1]}'`);
+    if (divIdx >= 0) tableHtml = html.slice(divIdx);
+  } else {
+    for (const pane of html.matchAll(/id='(pills-\d+)'\s+role='tabpanel'/g)) {
+      if (html.slice(Math.max(0, pane.index - 50), pane.index + 50).includes('active')) {
+        tableHtml = html.slice(pane.index);
+        break;
+      }
+    }
+  }
+
+  const finishers = [];
+  const rowRe = /<tr onclick="window\.location='\/runner\/show\?rid=(\d+)&amp;race=\d+'"\s*>([\s\S]*?)<\/tr>/g;
+  let m;
+  while ((m = rowRe.exec(tableHtml)) !== null) {
+    const tds = [];
+    const tdRe = /<td[^>]*>([\s\S]*?)<\/td>/g;
+    let td;
+    while ((td = tdRe.exec(m[2])) !== null) tds.push(strip(td[1]));
+
+    // Columns: [place, name, bib, age, sex, time, diff]
+    if (tds.length < 6) continue;
+    const place = tds[0].match(/^\d+/);
+    if (!tds[1] || !tds[2] || !tds[5]) continue;
+    finishers.push({
+      bib:          tds[2],
+      name:         tds[1],
+      gender:       tds[4] === 'M' ? 1 : tds[4] === 'F' ? 2 : null,
+      overall_rank: place ? parseInt(place[0]) : null,
+      net_time_s:   tds[5],
+    });
+  }
+  return finishers;
+}
+
+// ── Finishers ─────────────────────────────────────────────────────────────────
+async function fetchResults({ raceId }) {
+  console.log(`[racerecord.com] Importing race ${raceId}...`);
+
+  // Main page — metadata, divisions list and the top of the overall field
+  const mainHtml  = await fetchLeaderboard(raceId);
+  const meta      = parseMeta(mainHtml);
+  const divisions = parseDivisions(mainHtml);
+  console.log(`  Event: ${meta.event_name}, Date: ${meta.event_date}, Divisions: ${divisions.length}`);
+
+  const byBib = new Map();
+  const mainFinishers = parseFinishers(mainHtml);
+  mainFinishers.forEach(f => byBib.set(f.bib, f));
+  console.log(`  Main page: ${mainFinishers.length} finishers`);
+
+  // Each division page fills in the rest and sets age_group / age_group_rank
+  for (const div of divisions) {
+    await sleep(DELAY_MS);
+    try {
+      const divFinishers = parseFinishers(await fetchLeaderboard(raceId, div));
+      let added = 0, place = 0;
+      divFinishers.forEach(f => {
+        const known = byBib.get(f.bib);
+        // Page order within the division, counting only rows with a time
+        const ranks = { age_group: div, age_group_rank: parseTimeToSeconds(f.net_time_s) ? ++place : null };
+        if (known) Object.assign(known, ranks);
+        else { byBib.set(f.bib, { ...f, ...ranks, overall_rank: null }); added++; }
+      });
+      console.log(`  Division ${div}: ${divFinishers.length} finishers (${added} new)`);
+    } catch(e) {
+      console.warn(`  Failed to fetch division ${div}: ${e.message}`);
+    }
+  }
+
+  const finishers = [...byBib.values()];
+  console.log(`  Total unique finishers: ${finishers.length}`);
+  if (!finishers.length) throw new Error('No finishers found');
+  return {
+    finishers,
+    meta: { event_name: `Race ${raceId}`, ...meta },
+    extra: { divisions: divisions.length },
+  };
+}
+
+module.exports = {
+  id: 'racerecord-com',
+  name: 'racerecord.com',
+  example: 'https://racerecord.com/race/leaderboard/12345/…',
+  urlPattern: /racerecord\.com\/race\/leaderboard\/\d+/i,
+  options: [],
+  parseUrl,
+  fetchResults,
+};
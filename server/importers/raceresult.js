@@ -0,0 +1,229 @@
+// server/importers/raceresult.js — RaceResult events (my.raceresult.com)
+// Each event publishes its results through RRPublish lists. We read the
+// event's key and list names from its config, find a list with data (or use
+// the one the admin named), then page through it contest by contest.
+const fetch = require('node-fetch');
+const { parseTimeToSeconds, checkpointDistance } = require('./common');
+
+const RATE_LIMIT_MS = 300;
+const PAGE_SIZE = 500;   // RaceResult supports large pages
+const UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// ── URL ───────────────────────────────────────────────────────────────────────
+// One race per event URL; every import of it shares the raceKey 'rr'
+function parseUrl(url) {
+  const m = url.match(/my\.raceresult\.com\/(\d+)/);
+  if (!m) throw new Error(`Cannot parse event ID from URL: ${url}`);
+  return { eventKey: m[1], raceKey: 'rr' };
+}
+
+// ── Event config (key + list names) ───────────────────────────────────────────
+// The key is NOT embedded in the page HTML — it lives at /RRPublish/data/config
+async function getConfig(eventId) {
+  const configUrl = `https://my.raceresult.com/${eventId}/RRPublish/data/config`;
+  const res = await fetch(configUrl, {
+    headers: { 'User-Agent': UA, 'Accept': 'application/json' },
+    timeout: 15000,
+    redirect: 'follow',
+  });
+  if (!res.ok) throw new Error(`RaceResult config fetch failed for ${eventId}: ${res.status}`);
+  const data = await res.json();
+  if (!data.key) throw new Error(`No key found in RaceResult config for event ${eventId}`);
+
+  const finalHost = new URL(res.url).host;
+  const lists = (data.lists || []).map(l => l.Name).filter(Boolean);
+  console.log(`  Key: ${data.key}, Host: ${finalHost}, Lists: ${lists.join(', ')}`);
+  return { key: data.key, host: finalHost, lists };
+}
+
+// ── Fetch one page of a list ──────────────────────────────────────────────────
+// groupby params control which contest/gender/agegroup is shown
+async function fetchPage(eventId, listname, groupFilters, numResults, page, keyInfo) {
+  const host = keyInfo.host || 'my.raceresult.com';
+
+  // Use URLSearchParams — browser DOES encode | as %7C (confirmed from actual URL)
+  const params = new URLSearchParams({
+    key: keyInfo.key || '',
+    listname,
+    page: page || 1,
+    contest: 0,
+    r: 'all',
+    l: numResults || PAGE_SIZE,
+    openedGroups: '{}',
+    term: '',
+  });
+  for (const [k, v] of Object.entries(groupFilters || {})) {
+    if (v != null) params.set(k, v);
+  }
+
+  const url = `https://${host}/${eventId}/RRPublish/data/list?${params}`;
+  console.log(`  Fetching: ${url}`);
+
+  const res = await fetch(url, {
+    headers: {
+      'User-Agent': UA,
+      'Accept': 'application/json, text/javascript, */*',
+      'Referer': `https://${host}/${eventId}/`,
+    },
+    timeout: 20000,
+  });
+  if (!res.ok) {
+    const body = await res.text().catch(() => '');
+    throw new Error(`RaceResult API ${res.status}: ${body.slice(0,300)}`);
+  }
+  return res.json();
+}
+
+// ── Find the results list ─────────────────────────────────────────────────────
+// Tries list names from the config first, then falls back to common names
+async function discoverList(eventId, keyInfo) {
+  const fallbacks = ['Online|Final', 'Results|All', 'Online|Results', 'Results|Final', 'Online|All'];
+  const candidates = [...new Set([...keyInfo.lists, ...fallbacks])];
+
+  for (const listname of candidates) {
+    try {
+      const data = await fetchPage(eventId, listname, {}, 5, 1, keyInfo);
+      if (data.data && Object.keys(data.data).length > 0) {
+        return { listname, dataFields: data.DataFields || [], groupFilters: data.groupFilters || [] };
+      }
+    } catch(e) { console.log(`  Tried ${listname}: ${e.message}`); }
+    await new Promise(r => setTimeout(r, RATE_LIMIT_MS));
+  }
+  throw new Error('Could not find results list — enter the list name manually (e.g. Online|Final)');
+}
+
+// ── Split columns ─────────────────────────────────────────────────────────────
+// Lists with intermediate timing carry a column per checkpoint — "Time5K",
+// "TIMES.T10K", "15KM" … Any field naming a distance (other than the finish)
+// counts; the label is the distance as results pages print it.
+function splitColumns(dataFields, finishIdx) {
+  return dataFields.flatMap((field, i) => {
+    const d = i !== finishIdx && checkpointDistance(field);
+    if (!d) return [];
+    const name = d === 21097.5 ? 'Half' : d % 1000 === 0 ? `${d / 1000}K` : `${(d / 1000).toFixed(1)}K`;
+    return [{ i, name, distance_m: d }];
+  });
+}
+
+// ── Extract finishers from the nested data structure ──────────────────────────
+// data shape: { "#1_ContestName": { "#1_SubGroup": [[...rows...], [totalCount]] } }
+function extractFinishers(data, dataFields) {
+  const finishers = [];
+  const bibIdx       = dataFields.indexOf('BIB');
+  const firstNameIdx = dataFields.indexOf('FIRSTNAME');
+  const lastNameIdx  = dataFields.indexOf('LASTNAME');
+  const ageGroupIdx  = dataFields.indexOf('AGEGROUP.NAME');
+  const gunIdx       = dataFields.findIndex(f => /gun|brutto|clock/i.test(f));
+  const finishIdx    = dataFields.findIndex((f, i) => i !== gunIdx && (f.includes('Finish') || f.includes('FINISH')));
+  const statusIdx    = dataFields.findIndex(f => /^status/i.test(f));
+  const rankIdx      = dataFields.findIndex(f => f.includes('AUTORANK') || f.includes('Rank') || f.includes('rank'));
+  const splitCols    = splitColumns(dataFields, finishIdx);
+  const cell = (row, i) => i >= 0 ? String(row[i] || '').trim() : '';
+
+  for (const [contestKey, subGroups] of Object.entries(data)) {
+    const contest = contestKey.replace(/^#\d+_/, '');
+
+    for (const [subKey, rows] of Object.entries(subGroups)) {
+      const subGroupName = subKey.replace(/^#\d+_/, '');
+      // Skip the unnamed group (bib-only / DNS entries) — only named gender/category groups have full data
+      if (!subGroupName) continue;
+
+      // Infer gender from sub-group name ("Female", "Male", etc.)
+      const genderStr = subGroupName.toLowerCase();
+      const gender = genderStr.startsWith('female') ? 2 : genderStr.startsWith('male') ? 1 : null;
+
+      for (const row of rows) {
+        // Last element of each sub-group is [totalCount] — skip single-element rows
+        if (!Array.isArray(row) || row.length === 1) continue;
+        const name = [cell(row, firstNameIdx), cell(row, lastNameIdx)].filter(Boolean).join(' ');
+        if (!name) continue;   // N.N. / unknown
+        finishers.push({
+          bib:          cell(row, bibIdx),
+          name,
+          gender,
+          age_group:    cell(row, ageGroupIdx),
+          overall_rank: parseInt(cell(row, rankIdx).replace(/\D/g, '')) || null,
+          net_time_s:   cell(row, finishIdx) || null,   // "DNF" / "DSQ" here too
+          gun_time_s:   cell(row, gunIdx) || null,
+          status:       cell(row, statusIdx) || null,
+          splits:       splitCols.map(c => ({ name: c.name, distance_m: c.distance_m, time: cell(row, c.i) })),
+          contest,
+        });
+      }
+    }
+  }
+  return finishers;
+}
+
+// ── Finishers ─────────────────────────────────────────────────────────────────
+async function fetchResults({ eventKey }, opts = {}) {
+  console.log(`Fetching RaceResult config for event ${eventKey}...`);
+  const keyInfo = await getConfig(eventKey);
+
+  let list;
+  if (opts.listname) {
+    const probe = await fetchPage(eventKey, opts.listname, {}, 5, 1, keyInfo);
+    list = { listname: opts.listname, dataFields: probe.DataFields || [], groupFilters: probe.groupFilters || [] };
+  } else {
+    list = await discoverList(eventKey, keyInfo);
+  }
+  console.log(`Using list: ${list.listname}`);
+  console.log(`Fields: ${list.dataFields.join(', ')}`);
+
+  // Each contest separately via groupFilter f0
+  const contestFilter = list.groupFilters.find(g => g.Type === 1);
+  const contests = contestFilter ? contestFilter.Values.filter(Boolean) : [''];
+
+  const all = [];
+  for (const contest of contests) {
+    for (let page = 1; ; page++) {
+      const result = await fetchPage(eventKey, list.listname, contest ? { f0: contest } : {}, PAGE_SIZE, page, keyInfo);
+      if (!result.data || !Object.keys(result.data).length) break;
+
+      const batch = extractFinishers(result.data, list.dataFields.length ? list.dataFields : result.DataFields || []);
+      if (!batch.length) break;
+      all.push(...batch);
+      console.log(`  Fetched ${all.length}...`);
+
+      // The [totalCount] rows say whether a full page has more behind it
+      const totalInPage = Object.values(result.data)
+        .flatMap(sg => Object.values(sg))
+        .flatMap(rows => rows.filter(r => r.length === 1).map(r => r[0]))
+        .reduce((a, b) => Math.max(a, b), 0);
+      if (batch.length < PAGE_SIZE || page * PAGE_SIZE >= totalInPage) break;
+      await new Promise(r => setTimeout(r, RATE_LIMIT_MS));
+    }
+  }
+
+  // Deduplicate by contest + bib
+  const seen = new Set();
+  const finishers = all.filter(f => {
+    const key = `${f.contest}:${f.bib}`;
+    return seen.has(key) ? false : seen.add(key);
+  });
+  if (!finishers.length) throw new Error('No finishers found');
+
+  // Overall rank from finish time where the list doesn't carry one; rows
+  // without a time (DNF / DNS) go last, unranked
+  const time = f => parseTimeToSeconds(f.net_time_s) || parseTimeToSeconds(f.gun_time_s) || Infinity;
+  finishers.sort((a, b) => time(a) - time(b));
+  finishers.forEach((f, i) => { if (!f.overall_rank && time(f) < Infinity) f.overall_rank = i + 1; });
+
+  return {
+    finishers,
+    meta: { event_name: `RaceResult ${eventKey}` },
+    extra: { listname: list.listname },
+  };
+}
+
+module.exports = {
+  id: 'raceresult',
+  name: 'RaceResult',
+  example: 'https://my.raceresult.com/123456/',
+  urlPattern: /my\.raceresult\.com\/\d+/i,
+  options: [
+    { name: 'listname', label: 'List name', placeholder: 'Online|Final — leave blank to auto-detect' },
+  ],
+  parseUrl,
+  fetchResults,
+};
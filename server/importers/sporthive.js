@@ -0,0 +1,116 @@
+// server/importers/sporthive.js — Sporthive results (results.sporthive.com)
+// A JSON API paged 50 finishers at a time. An event holds several races; a URL
+// without /races/{id} lists them so the admin can pick one.
+const fetch = require('node-fetch');
+
+const PAGE_SIZE = 50;   // Sporthive max per request
+const RATE_LIMIT_MS = 350;
+const API_BASE = 'https://eventresults-api.sporthive.com/api';
+const HEADERS = { 'User-Agent': 'Mozilla/5.0 (compatible; SenenViz/1.0)', 'Accept': 'application/json' };
+
+// ── URL ───────────────────────────────────────────────────────────────────────
+// Handles:
+//   https://results.sporthive.com/events/123/races/3
+//   https://results.sporthive.com/events/123/races/3/bib/456
+//   https://results.sporthive.com/events/123          ← event only, raceKey null
+function parseUrl(url) {
+  const withRace = url.match(/events\/(\d+)\/races\/(\d+)/);
+  if (withRace) return { eventKey: withRace[1], raceKey: withRace[2] };
+
+  const eventOnly = url.match(/events\/(\d+)/);
+  if (eventOnly) return { eventKey: eventOnly[1], raceKey: null };
+
+  throw new Error(`Cannot parse event ID from URL: ${url}`);
+}
+
+// ── Races of an event ─────────────────────────────────────────────────────────
+async function discoverRaces({ eventKey }) {
+  const res = await fetch(`${API_BASE}/events/${eventKey}`, { headers: HEADERS, timeout: 15000 });
+  if (!res.ok) throw new Error(`Could not fetch event ${eventKey}: ${res.status}`);
+  const data = await res.json();
+  // Sporthive returns races array on the event object
+  const races = data.races || data.event?.races || [];
+  return races.map(r => ({
+    id:   String(r.id || r.raceId || r.race_id),
+    name: r.name || r.raceName || r.race_name || `Race ${r.id}`,
+    distance: r.distance || null,
+    participants: r.participantCount || r.participants || null,
+  }));
+}
+
+// ── Finishers ─────────────────────────────────────────────────────────────────
+
+// Checkpoint times sit next to the classification or inside it, depending
+// on the event
+function normalizeSplits(splits) {
+  return (Array.isArray(splits) ? splits : []).map(s => ({
+    name:       s.name || s.splitName || s.label || s.timingPointName,
+    distance_m: s.distance ?? s.distanceInMeters ?? null,
+    time:       s.cumulativeTime ?? s.chipTime ?? s.elapsedTime ?? s.time ?? null,
+  }));
+}
+
+// Sporthive's field names vary between events; map them onto the finisher
+// schema. Chip and gun time are kept apart — common.js decides which one the
+// race is ranked by.
+function normalizeFinisher(f, splits = f.splits) {
+  return {
+    bib:            f.bib || f.bibNumber || f.startNumber,
+    name:           f.name || [f.firstName, f.lastName].filter(Boolean).join(' '),
+    gender:         f.gender ?? (f.genderCode === 'M' ? 1 : f.genderCode === 'F' ? 2 : null),
+    age_group:      f.category || f.ageGroup || f.categoryName,
+    overall_rank:   f.rank ?? f.overallRank ?? f.position,
+    gender_rank:    f.genderRank ?? f.rankGender,
+    age_group_rank: f.categoryRank ?? f.rankCategory,
+    net_time_s:     f.chipTime ?? f.netTime ?? f.finishTime ?? f.time ?? null,
+    gun_time_s:     f.gunTime ?? null,
+    status:         f.status ?? f.classificationStatus ?? null,
+    country_code:   f.countryCode || f.nationality,
+    splits:         normalizeSplits(splits ?? f.splitTimes),
+  };
+}
+
+async function fetchPage(eventKey, raceKey, offset) {
+  const url = `${API_BASE}/events/${eventKey}/races/${raceKey}/classifications/search?count=${PAGE_SIZE}&offset=${offset}`;
+  const res = await fetch(url, { headers: HEADERS, timeout: 15000 });
+
+  if (res.status === 404) return [];
+  if (!res.ok) throw new Error(`Sporthive API ${res.status} at offset ${offset}`);
+
+  const data = await res.json();
+
+  // Response shape: { fullClassifications: [ { classification: {...} }, ... ] }
+  if (Array.isArray(data.fullClassifications)) {
+    return data.fullClassifications.map(f =>
+      normalizeFinisher(f.classification || f, f.splits ?? f.classification?.splits));
+  }
+  // Fallback shapes
+  if (Array.isArray(data)) return data.map(f => normalizeFinisher(f));
+  return [];
+}
+
+async function fetchResults({ eventKey, raceKey }) {
+  const finishers = [];
+  let offset = 0;
+  while (true) {
+    const batch = await fetchPage(eventKey, raceKey, offset);
+    if (!batch.length) break;
+    finishers.push(...batch);
+    if (batch.length < PAGE_SIZE) break;
+    offset += batch.length;
+    await new Promise(r => setTimeout(r, RATE_LIMIT_MS));
+  }
+  if (!finishers.length) throw new Error('No finishers returned — check event/race IDs');
+  return { finishers, meta: { event_name: `Race ${eventKey}` } };
+}
+
+module.exports = {
+  id: 'sporthive',
+  name: 'Sporthive',
+  example: 'https://results.sporthive.com/events/123/races/3',
+  urlPattern: /sporthive\.com\/.*events\/\d+/i,
+  options: [],
+  parseUrl,
+  discoverRaces,
+  fetchResults,
+};
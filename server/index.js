@@ -7,10 +7,32 @@ const pgSession    = require('connect-pg-simple')(session);
 const fetch        = require('node-fetch');
 const path         = require('path');
 const { pool, query, queryOne, initDB } = require('../db/client');
-const { syncActivities, getStreams, stravaFetch, findRaceMatches } = require('./strava');
-const { importRace, lookupBib, fmtTime } = require('./sporthive');
-const { importRaceResult, parseRaceResultUrl } = require('./raceresult');
-const { importRaceRecordCom, parseRaceRecordComUrl } = require('./racerecord-com');
+const {
+  getStreams, refreshStreams, STREAMS_VERSION, getLaps, stravaFetch, findRaceMatches, getRateLimitStatus,
+  RateLimitError,
+} = require('./strava');
+const { importFromUrl, listProviders, providerFor } = require('./importers');
+const { previewFile, importFile, FileImportError } = require('./importers/file');
+const {
+  previewPdf, importPdf, listProfiles: listPdfProfiles, saveProfile: savePdfProfile, deleteProfile: deletePdfProfile,
+} = require('./importers/pdf');
+const { lookupBib, splitDistribution, claimedSplits, raceActivity, watchSplits } = require('./races');
+const { verifySubscription, enqueueEvent } = require('./webhook');
+const { enqueueJob, queueDerive, resumeJobs, getJob, getLatestJob, jobView } = require('./jobs');
+const { importActivityFile, UploadError } = require('./upload');
+const { buildActivityFilter, FilterError } = require('./filters');
+const { computeSplits, lapSplits, SPLIT_UNITS } = require('./analysis');
+const { writeAccountArchive, deleteAccount } = require('./account');
+const { getLoadSeries } = require('./load');
+const { getHrSettings, parseHrSettings, zoneBounds, timeInZones, weeklyZoneTotals } = require('./zones');
+const { gapSpeeds } = require('./gap');
+const { getRecords, getActivityEfforts } = require('./efforts');
+const { predictRaces } = require('./predictor');
+const { criticalSpeed } = require('./critical-speed');
+const { gradeFinishers, rankByAgeGrade, athleteGrade } = require('./agegrade');
+const { periodComparison, totalsByPeriod, totalsByShoe, totalsByWorkoutType } = require('./analytics');
+const { HEAT_MODEL, withHeatAdjustment } = require('./heat');
+const { toGpx, toTcx, activitiesToCsv, streamsToCsv, exportFilename } = require('./export');
 
 const app  = express();
 const PORT = process.env.PORT || 3000;
@@ -71,6 +93,12 @@ function requireAdmin(req, res, next) {
   next();
 }
 
+// Page-view Strava calls fail fast once the budget is gone (server/strava.js)
+function sendRateLimited(res, err) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil((err.resetAt - Date.now()) / 1000))));
+  return res.status(429).json({ error: err.message, resume_at: new Date(err.resetAt).toISOString() });
+}
+
 async function getAthlete(req) {
   return queryOne(`SELECT * FROM athletes WHERE strava_id=$1`, [req.session.athleteId]);
 }
@@ -178,14 +206,76 @@ app.post('/api/profile', requireAuth, async (req, res) => {
     `UPDATE athletes SET sex=$1, birthdate=$2, updated_at=NOW() WHERE strava_id=$3`,
     [sex, birthdate, req.session.athleteId]
   );
+  // Age and sex set the default max HR and the TRIMP weighting
+  await queueDerive(await getAthlete(req)).catch(e => console.warn(`Derive queue failed: ${e.message}`));
   res.json({ ok: true });
 });
 
+// Max / resting / threshold HR. Send any subset; null or '' resets a field to
+// its default. Stored loads and zone times are redone by a derive job.
+app.post('/api/profile/heart-rate', requireAuth, async (req, res) => {
+  try {
+    const { values, error } = parseHrSettings(req.body || {}, await getAthlete(req));
+    if (error) return res.status(400).json({ error });
+    const cols = Object.keys(values);
+    if (cols.length) {
+      await query(
+        `UPDATE athletes SET ${cols.map((c, i) => `${c}=$${i + 1}`).join(', ')}, updated_at=NOW()
+         WHERE strava_id=$${cols.length + 1}`,
+        [...cols.map(c => values[c]), req.session.athleteId]
+      );
+    }
+    const athlete = await getAthlete(req);
+    await queueDerive(athlete).catch(e => console.warn(`Derive queue failed: ${e.message}`));
+    const settings = await getHrSettings(athlete);
+    res.json({ ok: true, hr: settings, zones: zoneBounds(settings) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Account ───────────────────────────────────────────────────────────────────
+
+// "Download my data": ZIP of JSON + GPX, streamed as it's built
+app.get('/api/account/export', requireAuth, async (req, res) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="senen-strava-export-${date}.zip"`);
+  try {
+    await writeAccountArchive(req.session.athleteId, res);
+    res.end();
+  } catch (err) {
+    console.error('Account export error:', err);
+    // Once bytes are out the only way to signal failure is a truncated download
+    if (res.headersSent) return res.destroy(err);
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete the account: revoke Strava access, remove all cached data, log out.
+// The client must echo { confirm: 'DELETE' } — the confirmation step.
+app.post('/api/account/delete', requireAuth, async (req, res) => {
+  if (req.body?.confirm !== 'DELETE') {
+    return res.status(400).json({ error: 'Type DELETE to confirm' });
+  }
+  try {
+    const athlete = await getAthlete(req);
+    if (!athlete) return res.status(404).json({ error: 'Athlete not found' });
+    const result = await deleteAccount(athlete);
+    req.session.destroy(() => res.json({ ok: true, ...result }));
+  } catch (err) {
+    console.error('Account delete error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── Me ────────────────────────────────────────────────────────────────────────
 
 app.get('/api/me', requireAuth, async (req, res) => {
   const athlete = await getAthlete(req);
   if (!athlete) return res.status(404).json({ error: 'Athlete not found' });
+  const hr = await getHrSettings(athlete);
   res.json({
     strava_id:  athlete.strava_id,
     firstname:  athlete.firstname,
@@ -196,109 +286,584 @@ app.get('/api/me', requireAuth, async (req, res) => {
     city:       athlete.city,
     country:    athlete.country,
     last_sync_at: athlete.last_sync_at,
+    hr:         hr,
+    hr_zones:   zoneBounds(hr),
   });
 });
 
 // ── Activities ────────────────────────────────────────────────────────────────
 
-// Sync new activities from Strava (incremental)
+// Sync new activities from Strava (incremental). Runs as a background job;
+// poll /api/sync/jobs/:id for progress.
 app.post('/api/sync', requireAuth, async (req, res) => {
   try {
     const athlete = await getAthlete(req);
-    const { newActivities, raceMatches } = await syncActivities(athlete);
-    res.json({ ok: true, new_activities: newActivities, race_matches: raceMatches });
+    const job = await enqueueJob(athlete, 'sync');
+    res.status(202).json({ ok: true, job: jobView(job) });
   } catch (err) {
     console.error('Sync error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get activities from DB (filtered by distance range)
+// Re-check recent history against Strava: apply edits, drop deleted runs.
+// Body: { days: 90 } for a window, { full: true } for the whole history.
+// The report lands in the job's result once it finishes.
+app.post('/api/sync/reconcile', requireAuth, async (req, res) => {
+  try {
+    const athlete = await getAthlete(req);
+    const { full, days } = req.body || {};
+    const windowDays = full ? null : (parseInt(days) || parseInt(process.env.RECONCILE_WINDOW_DAYS) || 30);
+    const job = await enqueueJob(athlete, 'reconcile', { days: windowDays });
+    res.status(202).json({ ok: true, job: jobView(job) });
+  } catch (err) {
+    console.error('Reconcile error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/sync/jobs/:id', requireAuth, async (req, res) => {
+  try {
+    const job = await getJob(req.session.athleteId, parseInt(req.params.id));
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Most recent job, so a reloaded page can pick up a sync that is still running
+app.get('/api/sync/status', requireAuth, async (req, res) => {
+  try {
+    res.json({ job: await getLatestJob(req.session.athleteId) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Upload a GPX/TCX/FIT file (optionally gzipped) as a run. The file is the raw
+// request body; query: filename, name (optional), tz_offset (minutes east of UTC,
+// used for the local start time when the file doesn't carry one).
+app.post('/api/activities/upload', requireAuth,
+  express.raw({ type: () => true, limit: '30mb' }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        return res.status(400).json({ error: 'Send the file as the request body' });
+      }
+      const athlete = await getAthlete(req);
+      const activity = await importActivityFile(athlete, req.body, {
+        filename:    req.query.filename,
+        name:        req.query.name,
+        tzOffsetMin: req.query.tz_offset != null ? parseInt(req.query.tz_offset) : null,
+      });
+      // A new highest max HR moves every zone and load
+      await queueDerive(athlete).catch(e => console.warn(`Derive queue failed: ${e.message}`));
+      res.json({ ok: true, activity });
+    } catch (err) {
+      if (err instanceof UploadError) {
+        return res.status(err.status).json({ error: err.message, existing_id: err.existingId });
+      }
+      console.error('Upload error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Get activities from DB. Accepts the list filters in server/filters.js
+// (the app itself only passes dist_min/dist_max and filters the rest locally).
 app.get('/api/activities', requireAuth, async (req, res) => {
-  const { dist_min = 0, dist_max = 999999 } = req.query;
-  const rows = await query(`
-    SELECT
-      a.strava_id   AS id,
-      a.name,
-      a.distance_m,
-      a.moving_time_s,
-      a.start_date_local,
-      a.workout_type,
-      a.has_heartrate,
-      a.ae_score,
-      a.avg_heartrate,
-      a.avg_speed_ms,
-      a.total_elevation_m,
-      a.gear_id,
-      g.name        AS gear_name,
-      g.brand_name  AS gear_brand,
-      g.retired     AS gear_retired,
-      a.temp_c,
-      a.humidity_pct,
-      a.sport_type
-    FROM activities a
-    LEFT JOIN gear g ON g.strava_id = a.gear_id
-    WHERE a.athlete_id = $1
-      AND a.distance_m >= $2
-      AND a.distance_m <= $3
-    ORDER BY a.start_date_local DESC
-    LIMIT 600
-  `, [req.session.athleteId, dist_min, dist_max]);
-  res.json(rows);
+  try {
+    const { where, params } = buildActivityFilter(req.session.athleteId, req.query);
+    const rows = await query(`
+      SELECT
+        a.strava_id   AS id,
+        a.name,
+        a.distance_m,
+        a.moving_time_s,
+        a.start_date_local,
+        a.workout_type,
+        a.has_heartrate,
+        a.ae_score,
+        a.decoupling_pct,
+        a.gap_speed_ms,
+        a.gap_ae_score,
+        a.avg_heartrate,
+        a.avg_speed_ms,
+        a.total_elevation_m,
+        a.gear_id,
+        g.name        AS gear_name,
+        g.brand_name  AS gear_brand,
+        g.retired     AS gear_retired,
+        a.temp_c,
+        a.humidity_pct,
+        a.sport_type,
+        a.sport,
+        a.avg_watts,
+        a.source
+      FROM activities a
+      LEFT JOIN gear g ON g.strava_id = a.gear_id
+      WHERE ${where}
+      ORDER BY a.start_date_local DESC
+      LIMIT 2000
+    `, params);
+    res.json(rows.map(withHeatAdjustment));
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(err.status).json({ error: err.message });
+    console.error('Activities error:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// ── Streams ───────────────────────────────────────────────────────────────────
+// Coefficients behind the adj_* fields above (server/heat.js)
+app.get('/api/heat-model', requireAuth, (req, res) => {
+  res.json(HEAT_MODEL);
+});
 
-app.get('/api/streams/:activityId', requireAuth, async (req, res) => {
+// Auto splits (?unit=mi|km) and device laps for one activity. Laps come from
+// Strava on first request; if that fails the splits still come back.
+app.get('/api/activities/:activityId/splits', requireAuth, async (req, res) => {
   try {
+    const act = await queryOne(
+      `SELECT strava_id FROM activities WHERE strava_id=$1 AND athlete_id=$2`,
+      [req.params.activityId, req.session.athleteId]
+    );
+    if (!act) return res.status(403).json({ error: 'Not your activity' });
+
+    const unit = SPLIT_UNITS[req.query.unit] ? req.query.unit : 'mi';
     const athlete = await getAthlete(req);
-    // Verify this activity belongs to this athlete
+    const streams = await getStreams(athlete, req.params.activityId);
+    let laps = [];
+    try {
+      laps = lapSplits(await getLaps(athlete, req.params.activityId), streams);
+    } catch (e) {
+      console.warn(`Laps fetch failed for ${req.params.activityId}: ${e.message}`);
+    }
+    res.json({ unit, splits: computeSplits(streams, unit), laps });
+  } catch (err) {
+    if (err instanceof RateLimitError) return sendRateLimited(res, err);
+    console.error('Splits error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Training load ─────────────────────────────────────────────────────────────
+
+// Daily TRIMP load with CTL (fitness), ATL (fatigue) and TSB (form) — see
+// server/load.js. ?days=N trims the returned series (default 365, 0 = all).
+app.get('/api/training-load', requireAuth, async (req, res) => {
+  try {
+    const days = req.query.days != null ? Math.max(parseInt(req.query.days) || 0, 0) : 365;
+    const athlete = await getAthlete(req);
+    res.json(await getLoadSeries(athlete, { days }));
+  } catch (err) {
+    console.error('Training load error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Analytics ─────────────────────────────────────────────────────────────────
+// Aggregates over the whole history (server/analytics.js). All take the
+// activity list's filters plus sport (default run, 'all') and adjusted=heat.
+
+// Last 30 days vs the 3 and 12 months before: AE and speed
+app.get('/api/analytics/summary', requireAuth, async (req, res) => {
+  try {
+    res.json(await periodComparison(req.session.athleteId, req.query));
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(err.status).json({ error: err.message });
+    console.error('Analytics summary error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ?period=week|month|year&group=shoe|type|sport
+app.get('/api/analytics/periods', requireAuth, async (req, res) => {
+  try {
+    res.json(await totalsByPeriod(req.session.athleteId, req.query));
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/analytics/shoes', requireAuth, async (req, res) => {
+  try {
+    res.json(await totalsByShoe(req.session.athleteId, req.query));
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/analytics/workout-types', requireAuth, async (req, res) => {
+  try {
+    res.json(await totalsByWorkoutType(req.session.athleteId, req.query));
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Critical speed / threshold pace: the current fit with its points, and a
+// weekly series over ?days= (default 365, 0 = all history)
+app.get('/api/critical-speed', requireAuth, async (req, res) => {
+  try {
+    const days = req.query.days != null ? parseInt(req.query.days) : 365;
+    res.json(await criticalSpeed(req.session.athleteId, { days: Number.isFinite(days) ? days : 365 }));
+  } catch (err) {
+    console.error('Critical speed error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Best efforts / personal records ───────────────────────────────────────────
+
+// Per distance: current PR, best this season, PR history. Age grades need
+// the profile's sex and birthdate; age_graded says whether we had them.
+app.get('/api/personal-records', requireAuth, async (req, res) => {
+  try {
+    const athlete = await getAthlete(req);
+    res.json({
+      distances:  await getRecords(athlete),
+      age_graded: !!(athlete.sex && athlete.birthdate),
+    });
+  } catch (err) {
+    console.error('Personal records error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Best efforts inside one run (scanned once its streams are cached)
+app.get('/api/activities/:activityId/best-efforts', requireAuth, async (req, res) => {
+  try {
     const act = await queryOne(
       `SELECT strava_id FROM activities WHERE strava_id=$1 AND athlete_id=$2`,
       [req.params.activityId, req.session.athleteId]
     );
     if (!act) return res.status(403).json({ error: 'Not your activity' });
+    res.json({ efforts: await getActivityEfforts(await getAthlete(req), req.params.activityId) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Heart-rate zones ──────────────────────────────────────────────────────────
+
+// Time in each HR zone for one activity, from its HR stream
+app.get('/api/activities/:activityId/hr-zones', requireAuth, async (req, res) => {
+  try {
+    const act = await queryOne(
+      `SELECT strava_id FROM activities WHERE strava_id=$1 AND athlete_id=$2`,
+      [req.params.activityId, req.session.athleteId]
+    );
+    if (!act) return res.status(403).json({ error: 'Not your activity' });
+    const athlete = await getAthlete(req);
+    const zones = zoneBounds(await getHrSettings(athlete));
+    const secs = timeInZones(await getStreams(athlete, req.params.activityId), zones);
+    res.json({ zones: zones.map((z, i) => ({ ...z, seconds: secs ? Math.round(secs[i]) : null })) });
+  } catch (err) {
+    if (err instanceof RateLimitError) return sendRateLimited(res, err);
+    console.error('HR zones error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Weekly time-in-zone totals (?weeks=12, optional ?sport=run)
+app.get('/api/hr-zones/weekly', requireAuth, async (req, res) => {
+  try {
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks) || 12, 1), 104);
+    const athlete = await getAthlete(req);
+    res.json(await weeklyZoneTotals(athlete, { weeks, sport: req.query.sport || null }));
+  } catch (err) {
+    console.error('Weekly zones error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Export ────────────────────────────────────────────────────────────────────
+
+// CSV of activities; same filter params as /api/activities, no row limit
+app.get('/api/activities/export.csv', requireAuth, async (req, res) => {
+  try {
+    const { where, params } = buildActivityFilter(req.session.athleteId, req.query);
+    const rows = await query(`
+      SELECT a.strava_id AS id, a.name, a.sport, a.sport_type, a.workout_type,
+             a.start_date, a.start_date_local, a.distance_m, a.moving_time_s, a.elapsed_time_s,
+             a.avg_speed_ms, a.total_elevation_m, a.avg_heartrate, a.max_heartrate, a.avg_watts,
+             a.ae_score, a.gap_speed_ms, a.gap_ae_score, a.decoupling_pct, g.name AS gear_name,
+             a.temp_c, a.humidity_pct, a.source
+      FROM activities a
+      LEFT JOIN gear g ON g.strava_id = a.gear_id
+      WHERE ${where}
+      ORDER BY a.start_date_local DESC
+    `, params);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="activities-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(activitiesToCsv(rows));
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(err.status).json({ error: err.message });
+    console.error('Export error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// One activity as GPX, TCX, or a CSV of its raw stream samples (?format=gpx|tcx|csv)
+const EXPORT_FORMATS = {
+  gpx: { type: 'application/gpx+xml', render: toGpx },
+  tcx: { type: 'application/vnd.garmin.tcx+xml', render: toTcx },
+  csv: { type: 'text/csv; charset=utf-8', render: (act, streams) => streamsToCsv(streams) },
+};
+
+app.get('/api/activities/:activityId/export', requireAuth, async (req, res) => {
+  try {
+    const format = EXPORT_FORMATS[req.query.format] ? req.query.format : 'gpx';
+    const act = await queryOne(
+      `SELECT * FROM activities WHERE strava_id=$1 AND athlete_id=$2`,
+      [req.params.activityId, req.session.athleteId]
+    );
+    if (!act) return res.status(403).json({ error: 'Not your activity' });
 
+    const athlete = await getAthlete(req);
     const streams = await getStreams(athlete, req.params.activityId);
-    res.json(streams);
+    let body;
+    try {
+      body = EXPORT_FORMATS[format].render(act, streams);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].type);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(act, format)}"`);
+    res.send(body);
   } catch (err) {
+    if (err instanceof RateLimitError) return sendRateLimited(res, err);
+    console.error('Export error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Streams ───────────────────────────────────────────────────────────────────
+
+app.get('/api/streams/:activityId', requireAuth, async (req, res) => {
+  try {
+    const athlete = await getAthlete(req);
+    // Verify this activity belongs to this athlete
+    const owned = await queryOne(
+      `SELECT 1 FROM activities WHERE strava_id=$1 AND athlete_id=$2`,
+      [req.params.activityId, req.session.athleteId]
+    );
+    if (!owned) return res.status(403).json({ error: 'Not your activity' });
+
+    // Streams fetched just now have had their derived values stored, so read
+    // the activity after getStreams
+    const streams = await getStreams(athlete, req.params.activityId);
+    const act = await queryOne(
+      `SELECT sport, decoupling_pct, gap_speed_ms, gap_ae_score FROM activities WHERE strava_id=$1`,
+      [req.params.activityId]
+    );
+    res.json({
+      ...streams,
+      decoupling_pct: act.decoupling_pct,
+      gap_speed_ms:   act.gap_speed_ms,
+      gap_ae_score:   act.gap_ae_score,
+      gap_ms: act.sport === 'run' ? gapSpeeds(streams) : null,
+    });
+  } catch (err) {
+    if (err instanceof RateLimitError) return sendRateLimited(res, err);
     console.error('Streams error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// ── Strava webhook (push subscription) ────────────────────────────────────────
+
+// Subscription validation handshake
+app.get('/api/strava/webhook', (req, res) => {
+  const reply = verifySubscription(req.query);
+  if (!reply) return res.status(403).json({ error: 'Invalid verify token' });
+  res.json(reply);
+});
+
+// Event receiver — Strava wants a 200 within 2 seconds, so only queue here
+app.post('/api/strava/webhook', (req, res) => {
+  const event = req.body || {};
+  if (!event.object_type || !event.object_id || !event.owner_id) {
+    return res.status(400).json({ error: 'Not a Strava event' });
+  }
+  enqueueEvent(event);
+  res.json({ ok: true });
+});
 
 // ── Admin page ────────────────────────────────────────────────────────────────
 app.get('/admin', requireAdmin, (req, res) => {
   res.sendFile(require('path').join(__dirname, '../public/admin.html'));
 });
 
+// ── Strava API budget (admin only) ────────────────────────────────────────────
+app.get('/api/admin/strava-usage', requireAdmin, (req, res) => {
+  res.json(getRateLimitStatus());
+});
+
 // ── Race import (admin only) ───────────────────────────────────────────────────
+// The provider is picked from the URL (server/importers/)
+app.get('/api/admin/importers', requireAdmin, (req, res) => {
+  res.json(listProviders());
+});
+
 app.post('/api/admin/import-race', requireAdmin, async (req, res) => {
-  const { url, event_name, race_name, race_id, event_date, distance_m, location, replace, listname } = req.body;
+  const { url, ...opts } = req.body || {};
   if (!url) return res.status(400).json({ error: 'url is required' });
+  if (!providerFor(url)) {
+    return res.status(400).json({ error: 'No importer for this URL', providers: listProviders() });
+  }
   try {
-    // Route to the correct importer based on URL
-    let result;
-    if (url.includes('racerecord.com')) {
-      result = await importRaceRecordCom({ url, eventName: event_name, raceName: race_name, eventDate: event_date, distanceM: distance_m, location, replace });
-    } else if (url.includes('raceresult.com')) {
-      result = await importRaceResult({ url, eventName: event_name, raceName: race_name, eventDate: event_date, distanceM: distance_m, location, replace, listname });
-    } else {
-      result = await importRace({ url, eventName: event_name, raceName: race_name, eventDate: event_date, distanceM: distance_m, location, replace, raceId: race_id });
-    }
-    res.json(result);
+    res.json(await importFromUrl(url, opts));
   } catch(err) {
     console.error('Import race error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// Results spreadsheet (CSV / TSV / XLSX) as the raw request body. query:
+// filename, mapping (JSON { field: column index }; guessed when absent) and,
+// for the import, event_name, race_name, event_date, distance_m, location,
+// replace. The preview writes nothing.
+function fileImportOpts(q) {
+  let mapping = null;
+  if (q.mapping) {
+    try { mapping = JSON.parse(q.mapping); } catch (e) { throw new FileImportError('mapping must be JSON'); }
+  }
+  return { ...q, mapping, replace: q.replace === 'true' || q.replace === '1' };
+}
+
+app.post('/api/admin/import-file/preview', requireAdmin,
+  express.raw({ type: () => true, limit: '10mb' }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        return res.status(400).json({ error: 'Send the file as the request body' });
+      }
+      const { mapping } = fileImportOpts(req.query);
+      res.json(previewFile(req.body, req.query.filename, mapping));
+    } catch (err) {
+      if (err instanceof FileImportError) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+app.post('/api/admin/import-file', requireAdmin,
+  express.raw({ type: () => true, limit: '10mb' }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        return res.status(400).json({ error: 'Send the file as the request body' });
+      }
+      res.json(await importFile(req.body, req.query.filename, fileImportOpts(req.query)));
+    } catch (err) {
+      if (err instanceof FileImportError) return res.status(err.status).json({ error: err.message });
+      console.error('Import file error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Results PDF (or its extracted text) as the raw request body, read with a
+// parsing profile (server/importers/pdf.js). query: filename, profile (a saved
+// or built-in name) or config (JSON, unsaved edits) and, for the import, the
+// event fields and replace as above.
+function pdfImportOpts(q) {
+  let config = null;
+  if (q.config) {
+    try { config = JSON.parse(q.config); } catch (e) { throw new FileImportError('config must be JSON'); }
+  }
+  return { ...q, config, replace: q.replace === 'true' || q.replace === '1' };
+}
+
+app.get('/api/admin/pdf-profiles', requireAdmin, async (req, res) => {
+  try {
+    res.json(await listPdfProfiles());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/pdf-profiles', requireAdmin, async (req, res) => {
+  const { name, config } = req.body || {};
+  try {
+    res.json(await savePdfProfile(name, config));
+  } catch (err) {
+    if (err instanceof FileImportError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/admin/pdf-profiles/:name', requireAdmin, async (req, res) => {
+  try {
+    if (!await deletePdfProfile(req.params.name)) {
+      return res.status(404).json({ error: 'No saved profile with that name' });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/import-pdf/preview', requireAdmin,
+  express.raw({ type: () => true, limit: '20mb' }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        return res.status(400).json({ error: 'Send the file as the request body' });
+      }
+      res.json(await previewPdf(req.body, req.query.filename, pdfImportOpts(req.query)));
+    } catch (err) {
+      if (err instanceof FileImportError) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+app.post('/api/admin/import-pdf', requireAdmin,
+  express.raw({ type: () => true, limit: '20mb' }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        return res.status(400).json({ error: 'Send the file as the request body' });
+      }
+      res.json(await importPdf(req.body, req.query.filename, pdfImportOpts(req.query)));
+    } catch (err) {
+      if (err instanceof FileImportError) return res.status(err.status).json({ error: err.message });
+      console.error('Import PDF error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Course elevation gain for the race predictor (null clears it)
+app.post('/api/admin/races/:id/course', requireAdmin, async (req, res) => {
+  const raw = req.body?.elevation_gain_m;
+  const gain = raw == null || raw === '' ? null : parseFloat(raw);
+  if (gain != null && !(gain >= 0 && gain < 10000)) {
+    return res.status(400).json({ error: 'elevation_gain_m must be between 0 and 10000' });
+  }
+  try {
+    const row = await queryOne(
+      `UPDATE race_events SET elevation_gain_m=$1 WHERE id=$2 RETURNING id, elevation_gain_m`,
+      [gain, req.params.id]
+    );
+    if (!row) return res.status(404).json({ error: 'Race not found' });
+    res.json(row);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── List all imported races ────────────────────────────────────────────────────
 app.get('/api/races', async (req, res) => {
   const rows = await query(`
     SELECT id, sporthive_event_id, sporthive_race_id,
-           event_name, race_name, event_date, distance_m,
+           event_name, race_name, event_date, distance_m, elevation_gain_m,
            location, total_finishers, imported_at
     FROM race_events
     ORDER BY event_date DESC NULLS LAST, imported_at DESC
@@ -307,17 +872,34 @@ app.get('/api/races', async (req, res) => {
 });
 
 // ── Get all finishers for a race (paginated) ──────────────────────────────────
+// ranking=age_graded orders by age grade (server/agegrade.js) instead of
+// finish place; every finisher has to be graded before a page can be cut.
 app.get('/api/races/:id/finishers', async (req, res) => {
-  const { age_group, gender, page = 0, per_page = 100 } = req.query;
-  const offset = parseInt(page) * parseInt(per_page);
-  let sql = `SELECT * FROM race_finishers WHERE race_event_id=$1`;
-  const params = [req.params.id];
-  if (age_group) { sql += ` AND age_group=$${params.length+1}`; params.push(age_group); }
-  if (gender)    { sql += ` AND gender=$${params.length+1}`;    params.push(gender); }
-  sql += ` ORDER BY overall_rank ASC LIMIT $${params.length+1} OFFSET $${params.length+2}`;
-  params.push(per_page, offset);
-  const rows = await query(sql, params);
-  res.json(rows);
+  try {
+    const { age_group, gender, status, ranking, page = 0, per_page = 100 } = req.query;
+    const offset = parseInt(page) * parseInt(per_page);
+    let sql = `SELECT * FROM race_finishers WHERE race_event_id=$1`;
+    const params = [req.params.id];
+    if (age_group) { sql += ` AND age_group=$${params.length+1}`; params.push(age_group); }
+    if (gender)    { sql += ` AND gender=$${params.length+1}`;    params.push(gender); }
+    if (status)    { sql += ` AND status=$${params.length+1}`;    params.push(status); }
+
+    if (ranking === 'age_graded') {
+      const race = await queryOne(`SELECT distance_m FROM race_events WHERE id=$1`, [req.params.id]);
+      if (!race) return res.status(404).json({ error: 'Race not found' });
+      if (!race.distance_m) return res.status(400).json({ error: 'Race distance unknown — cannot age-grade' });
+      const rows = rankByAgeGrade(gradeFinishers(await query(sql, params), race.distance_m));
+      return res.json(rows.slice(offset, offset + parseInt(per_page)));
+    }
+
+    // Non-finishers after everyone ranked
+    sql += ` ORDER BY overall_rank ASC NULLS LAST, status, name LIMIT $${params.length+1} OFFSET $${params.length+2}`;
+    params.push(per_page, offset);
+    const rows = await query(sql, params);
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // ── Look up a bib in a race ────────────────────────────────────────────────────
@@ -332,18 +914,91 @@ app.get('/api/races/:id/bib/:bib', async (req, res) => {
 });
 
 // ── Age group breakdown for a race ────────────────────────────────────────────
+// ranking=age_graded adds each group's best / average / median age grade
 app.get('/api/races/:id/stats', async (req, res) => {
-  const groups = await query(`
-    SELECT age_group, gender, COUNT(*) as n,
-           MIN(chip_time_s) as fastest_s,
-           AVG(chip_time_s)::int as avg_s,
-           PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY chip_time_s)::int as median_s
-    FROM race_finishers
-    WHERE race_event_id=$1 AND chip_time_s IS NOT NULL
-    GROUP BY age_group, gender
-    ORDER BY age_group, gender
-  `, [req.params.id]);
-  res.json(groups);
+  try {
+    const groups = await query(`
+      SELECT age_group, gender, COUNT(*) as n,
+             MIN(chip_time_s) as fastest_s,
+             AVG(chip_time_s)::int as avg_s,
+             PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY chip_time_s)::int as median_s
+      FROM race_finishers
+      WHERE race_event_id=$1 AND chip_time_s IS NOT NULL
+      GROUP BY age_group, gender
+      ORDER BY age_group, gender
+    `, [req.params.id]);
+    if (req.query.ranking !== 'age_graded') return res.json(groups);
+
+    const race = await queryOne(`SELECT distance_m FROM race_events WHERE id=$1`, [req.params.id]);
+    if (!race?.distance_m) return res.status(400).json({ error: 'Race distance unknown — cannot age-grade' });
+    const graded = gradeFinishers(await query(
+      `SELECT age_group, gender, chip_time_s FROM race_finishers WHERE race_event_id=$1 AND chip_time_s IS NOT NULL`,
+      [req.params.id]
+    ), race.distance_m);
+    res.json(groups.map(g => {
+      const pcts = graded
+        .filter(f => f.age_group === g.age_group && f.gender === g.gender && f.age_grade_pct != null)
+        .map(f => f.age_grade_pct).sort((a, b) => b - a);
+      const mid = pcts.length >> 1;
+      return {
+        ...g,
+        best_age_grade_pct:   pcts.length ? pcts[0] : null,
+        avg_age_grade_pct:    pcts.length ? +(pcts.reduce((s, p) => s + p, 0) / pcts.length).toFixed(1) : null,
+        median_age_grade_pct: pcts.length ? +(pcts.length % 2 ? pcts[mid] : (pcts[mid - 1] + pcts[mid]) / 2).toFixed(1) : null,
+      };
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Checkpoint splits ─────────────────────────────────────────────────────────
+// Spread of the field's elapsed times at each checkpoint the results carry
+app.get('/api/races/:id/splits', async (req, res) => {
+  try {
+    res.json({ checkpoints: await splitDistribution(req.params.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The claimed result's splits against the field and against the athlete's own
+// run of the race — the matched activity, or ?activity_id=
+app.get('/api/races/:id/splits/mine', requireAuth, async (req, res) => {
+  try {
+    const mine = await claimedSplits(req.params.id, req.session.athleteId);
+    if (!mine) return res.status(404).json({ error: 'No claimed result in this race' });
+
+    const activity = req.query.activity_id
+      ? await queryOne(
+          `SELECT strava_id, name, distance_m, elapsed_time_s, start_date_local
+           FROM activities WHERE strava_id=$1 AND athlete_id=$2`,
+          [req.query.activity_id, req.session.athleteId])
+      : await raceActivity(req.session.athleteId, req.params.id, mine.chip_time_s);
+
+    let watch = mine.splits.map(() => null);
+    if (activity) {
+      try {
+        const streams = await getStreams(await getAthlete(req), activity.strava_id);
+        watch = watchSplits(mine.splits, streams, mine.race_distance_m);
+      } catch (e) {
+        console.warn(`Streams for race splits failed (${activity.strava_id}): ${e.message}`);
+      }
+    }
+    const { splits, ...finisher } = mine;
+    res.json({
+      finisher,
+      activity,
+      checkpoints: splits.map((sp, i) => ({
+        ...sp,
+        watch_s: watch[i],
+        delta_s: watch[i] != null ? watch[i] - sp.split_s : null,
+      })),
+    });
+  } catch (err) {
+    console.error('Race splits error:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // ── Claim a result (link bib to logged-in athlete) ────────────────────────────
@@ -366,6 +1021,29 @@ app.post('/api/races/:id/claim', requireAuth, async (req, res) => {
   res.json(result);
 });
 
+// ── Race predictions ──────────────────────────────────────────────────────────
+// 5K–marathon from recent best efforts and claimed results (server/predictor.js).
+// ?race_event_id= adds that race adjusted for course elevation and, with
+// ?temp_c= (and optional ?humidity_pct=), the forecast weather.
+app.get('/api/predictions', requireAuth, async (req, res) => {
+  const num = v => (v == null || v === '' ? null : parseFloat(v));
+  const tempC = num(req.query.temp_c), humidityPct = num(req.query.humidity_pct);
+  if (tempC != null && !(tempC > -30 && tempC < 50)) return res.status(400).json({ error: 'temp_c out of range' });
+  if (humidityPct != null && !(humidityPct > 0 && humidityPct <= 100)) {
+    return res.status(400).json({ error: 'humidity_pct must be 1–100' });
+  }
+  try {
+    res.json(await predictRaces(req.session.athleteId, {
+      raceEventId: req.query.race_event_id ? parseInt(req.query.race_event_id) : null,
+      tempC, humidityPct,
+    }));
+  } catch (err) {
+    if (err.message === 'Race not found') return res.status(404).json({ error: err.message });
+    console.error('Prediction error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── Race matches for current athlete ─────────────────────────────────────────
 app.get('/api/race-matches', requireAuth, async (req, res) => {
   try {
@@ -423,6 +1101,42 @@ app.post('/api/admin/backfill-weather', requireAdmin, async (req, res) => {
   res.end();
 });
 
+// ── Admin: re-fetch cached streams stored before the newer stream keys ───────
+// Streams also upgrade lazily when viewed; this does the rest in one pass and
+// stops cleanly if the Strava budget runs out (run it again after the reset).
+app.post('/api/admin/backfill-streams', requireAdmin, async (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain', 'Transfer-Encoding': 'chunked' });
+
+  try {
+    const rows = await query(`
+      SELECT s.activity_id, a.athlete_id
+      FROM streams s
+      JOIN activities a ON a.strava_id = s.activity_id
+      WHERE COALESCE(s.keys_version, 1) < $1 AND a.source = 'strava'
+      ORDER BY a.start_date DESC
+    `, [STREAMS_VERSION]);
+    res.write(`Found ${rows.length} cached streams to upgrade\n`);
+
+    let updated = 0;
+    for (const row of rows) {
+      // Re-read the athlete each time — stravaFetch may have refreshed the token
+      const athlete = await queryOne(`SELECT * FROM athletes WHERE strava_id=$1`, [row.athlete_id]);
+      try {
+        await refreshStreams(athlete, row.activity_id);
+        updated++;
+        if (updated % 10 === 0) res.write(`Updated ${updated}/${rows.length}...\n`);
+      } catch(e) {
+        if (e instanceof RateLimitError) { res.write(`Stopping: ${e.message}\n`); break; }
+        res.write(`Error on ${row.activity_id}: ${e.message}\n`);
+      }
+    }
+    res.write(`Done. Updated ${updated} streams.\n`);
+  } catch(e) {
+    res.write(`Error: ${e.message}\n`);
+  }
+  res.end();
+});
+
 // ── Athlete's claimed race results ────────────────────────────────────────────
 app.get('/api/my-race-results', requireAuth, async (req, res) => {
   try {
@@ -430,27 +1144,32 @@ app.get('/api/my-race-results', requireAuth, async (req, res) => {
       SELECT
         rf.id, rf.race_event_id, rf.bib, rf.name,
         rf.overall_rank, rf.gender_rank, rf.age_group_rank,
-        rf.chip_time_s, rf.age_group,
+        rf.chip_time_s, rf.net_time_s, rf.gun_time_s, rf.status, rf.age_group,
         re.event_name, re.event_date, re.distance_m, re.total_finishers, re.location,
-        -- Compute percentiles inline
+        -- Compute percentiles inline, over finishers only (DNF / DNS / DQ have
+        -- no ranks, so no percentiles)
         CASE WHEN rf.overall_rank > 0 AND re.total_finishers > 0
           THEN ROUND((1.0 - rf.overall_rank::float / re.total_finishers) * 100)
           ELSE NULL END AS overall_pct,
         (SELECT COUNT(*) FROM race_finishers rf2
          WHERE rf2.race_event_id = rf.race_event_id
-         AND rf2.age_group = rf.age_group) AS age_group_total,
+         AND rf2.age_group = rf.age_group AND rf2.status = 'finished') AS age_group_total,
         CASE WHEN rf.age_group_rank > 0
           THEN ROUND((1.0 - rf.age_group_rank::float /
             NULLIF((SELECT COUNT(*) FROM race_finishers rf2
              WHERE rf2.race_event_id = rf.race_event_id
-             AND rf2.age_group = rf.age_group), 0)) * 100)
+             AND rf2.age_group = rf.age_group AND rf2.status = 'finished'), 0)) * 100)
           ELSE NULL END AS age_group_pct
       FROM race_finishers rf
       JOIN race_events re ON re.id = rf.race_event_id
       WHERE rf.athlete_id = $1
       ORDER BY re.event_date DESC NULLS LAST
     `, [req.session.athleteId]);
-    res.json(rows);
+    const athlete = await getAthlete(req);
+    res.json(rows.map(r => {
+      const g = athleteGrade(athlete, r.distance_m, r.chip_time_s, r.event_date);
+      return { ...r, age_grade_pct: g?.pct ?? null, age_graded_s: g?.graded_s ?? null };
+    }));
   } catch(e) {
     res.status(500).json({ error: e.message });
   }
@@ -487,6 +1206,7 @@ app.get('/profile-setup', (req, res) => {
 
 async function start() {
   await initDB();
+  await resumeJobs();
   app.listen(PORT, () => {
     console.log(`🚀 Senén Strava Visualizer running on port ${PORT}`);
   });
@@ -0,0 +1,190 @@
+// server/jobs.js — Persisted background sync jobs
+// POST /api/sync used to run the whole paginated sync (plus a weather lookup per
+// activity) inside one HTTP request, which timed out on large histories. Jobs
+// now live in sync_jobs and are worked one at a time by an in-process worker;
+// each finished page is recorded so a restart picks up at the next page.
+// The same queue runs 'derive' jobs: the stream-derived values of
+// server/derived.js for activities whose stored ones are out of date.
+const { query, queryOne } = require('../db/client');
+const {
+  syncActivities, estimateSyncPages, reconcileActivities, RateLimitError,
+} = require('./strava');
+const { updateDerived, hasStaleDerived, staleVersionAthletes } = require('./derived');
+
+let working = false;
+let wakeTimer = null;
+
+// ── Enqueue ───────────────────────────────────────────────────────────────────
+
+async function enqueueJob(athlete, kind, params = {}) {
+  // One active job per athlete and kind — pressing Sync twice returns the first
+  const active = await queryOne(`
+    SELECT * FROM sync_jobs
+    WHERE athlete_id=$1 AND kind=$2 AND status IN ('queued','running','paused')
+    ORDER BY id DESC LIMIT 1
+  `, [athlete.strava_id, kind]);
+  if (active) return active;
+
+  if (kind === 'sync') {
+    // Freeze the cutoff now so a resumed job walks the same pages
+    params = {
+      after: athlete.last_sync_at ? Math.floor(new Date(athlete.last_sync_at).getTime() / 1000) : 0,
+      started_at: new Date().toISOString(),
+    };
+  }
+
+  const job = await queryOne(`
+    INSERT INTO sync_jobs (athlete_id, kind, params) VALUES ($1,$2,$3) RETURNING *
+  `, [athlete.strava_id, kind, JSON.stringify(params)]);
+  kick();
+  return job;
+}
+
+// A derive job, only when something needs it — after syncs, webhook updates,
+// uploads and HR settings changes
+async function queueDerive(athlete) {
+  if (await hasStaleDerived(athlete)) await enqueueJob(athlete, 'derive');
+}
+
+// ── Worker ────────────────────────────────────────────────────────────────────
+
+function kick() {
+  if (!working) work().catch(e => console.error('Sync worker error:', e));
+}
+
+async function work() {
+  working = true;
+  try {
+    while (true) {
+      const job = await queryOne(`
+        UPDATE sync_jobs
+        SET status='running', started_at=COALESCE(started_at, NOW()), resume_at=NULL, updated_at=NOW()
+        WHERE id = (
+          SELECT id FROM sync_jobs
+          WHERE status='queued' OR (status='paused' AND resume_at <= NOW())
+          ORDER BY id LIMIT 1
+        )
+        RETURNING *
+      `);
+      if (!job) break;
+      await runJob(job);
+    }
+  } finally {
+    working = false;
+  }
+  await scheduleWake();
+}
+
+// Paused jobs (daily rate limit) wake themselves up once the limit resets
+async function scheduleWake() {
+  const next = await queryOne(`SELECT MIN(resume_at) AS at FROM sync_jobs WHERE status='paused'`);
+  clearTimeout(wakeTimer);
+  if (!next?.at) return;
+  wakeTimer = setTimeout(kick, Math.max(0, new Date(next.at).getTime() - Date.now()) + 1000);
+}
+
+async function setProgress(jobId, page, imported) {
+  await query(
+    `UPDATE sync_jobs SET page=$2, imported=$3, updated_at=NOW() WHERE id=$1`,
+    [jobId, page, imported]
+  );
+}
+
+async function runJob(job) {
+  const athlete = await queryOne(`SELECT * FROM athletes WHERE strava_id=$1`, [job.athlete_id]);
+  if (!athlete) {
+    await query(`UPDATE sync_jobs SET status='failed', error='Athlete not found', finished_at=NOW() WHERE id=$1`, [job.id]);
+    return;
+  }
+  console.log(`Job ${job.id}: ${job.kind} for ${athlete.strava_id} from page ${job.page + 1}`);
+
+  try {
+    let result;
+    if (job.kind === 'reconcile') {
+      // Reconcile diffs the whole window in memory, so a resumed job starts over
+      const report = await reconcileActivities(athlete, {
+        days: job.params?.days ?? null,
+        onPage: ({ page, checked }) => setProgress(job.id, page, checked),
+      });
+      result = report;
+    } else if (job.kind === 'derive') {
+      result = { updated: await updateDerived(athlete, { onProgress: n => setProgress(job.id, 0, n) }) };
+    } else {
+      const after = job.params?.after || 0;
+      if (job.pages_est == null && job.page === 0) {
+        const est = await estimateSyncPages(athlete, after);
+        await query(`UPDATE sync_jobs SET pages_est=$2 WHERE id=$1`, [job.id, est]);
+      }
+      const { newActivities, raceMatches } = await syncActivities(athlete, {
+        after,
+        startPage: job.page + 1,
+        imported:  job.imported,
+        startedAt: job.params?.started_at,
+        onPage:    ({ page, imported }) => setProgress(job.id, page, imported),
+      });
+      result = { new_activities: newActivities, race_matches: raceMatches };
+    }
+    await query(`
+      UPDATE sync_jobs SET status='done', result=$2, finished_at=NOW(), updated_at=NOW() WHERE id=$1
+    `, [job.id, JSON.stringify(result)]);
+    // New and edited activities need their loads; a new max HR moves every zone
+    if (job.kind !== 'derive') await queueDerive(athlete).catch(e => console.warn(`Derive queue failed: ${e.message}`));
+  } catch (err) {
+    if (err instanceof RateLimitError) {
+      console.warn(`Job ${job.id} paused: ${err.message}`);
+      await query(`
+        UPDATE sync_jobs SET status='paused', resume_at=$2, error=$3, updated_at=NOW() WHERE id=$1
+      `, [job.id, new Date(err.resetAt), err.message]);
+      return;
+    }
+    console.error(`Job ${job.id} failed:`, err);
+    await query(`
+      UPDATE sync_jobs SET status='failed', error=$2, finished_at=NOW(), updated_at=NOW() WHERE id=$1
+    `, [job.id, err.message]);
+  }
+}
+
+// ── Startup ───────────────────────────────────────────────────────────────────
+// A restart mid-job leaves it 'running'; its page counter says where to resume.
+// A deploy that bumped a *_VERSION queues derive jobs for the athletes it left
+// stale; everyone else starts with an empty queue.
+async function resumeJobs() {
+  const rows = await query(`UPDATE sync_jobs SET status='queued' WHERE status='running' RETURNING id`);
+  if (rows.length) console.log(`Resuming ${rows.length} interrupted sync job(s)`);
+  for (const athlete of await staleVersionAthletes()) await enqueueJob(athlete, 'derive');
+  kick();
+}
+
+// ── Lookup ────────────────────────────────────────────────────────────────────
+
+function jobView(job) {
+  if (!job) return null;
+  return {
+    id:          job.id,
+    kind:        job.kind,
+    status:      job.status,
+    page:        job.page,
+    pages_est:   job.pages_est,
+    imported:    job.imported,
+    result:      job.result,
+    error:       job.error,
+    resume_at:   job.resume_at,
+    created_at:  job.created_at,
+    finished_at: job.finished_at,
+  };
+}
+
+async function getJob(athleteId, jobId) {
+  return jobView(await queryOne(
+    `SELECT * FROM sync_jobs WHERE id=$1 AND athlete_id=$2`, [jobId, athleteId]
+  ));
+}
+
+// Latest sync or reconcile — derive jobs run behind them and aren't shown
+async function getLatestJob(athleteId) {
+  return jobView(await queryOne(
+    `SELECT * FROM sync_jobs WHERE athlete_id=$1 AND kind <> 'derive' ORDER BY id DESC LIMIT 1`, [athleteId]
+  ));
+}
+
+module.exports = { enqueueJob, queueDerive, resumeJobs, getJob, getLatestJob, jobView };
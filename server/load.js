@@ -0,0 +1,151 @@
+// server/load.js — Training load (TRIMP) and the fitness/fatigue/form model
+// Each activity gets a Banister TRIMP score:
+//   TRIMP = Σ minutes × HRr × 0.64·e^(k·HRr),  HRr = (HR − rest) / (max − rest)
+// with k = 1.92 for men and 1.67 for women. The sum runs over the cached HR
+// stream when we have one, else it's one term using the activity's average HR.
+// Runs with no HR at all fall back to an HR estimated from their pace. Max and
+// resting HR come from the athlete's HR settings (server/zones.js).
+//
+// Daily loads then feed two exponentially weighted averages:
+//   CTL (chronic load, "fitness")  — 42-day time constant
+//   ATL (acute load, "fatigue")    — 7-day time constant
+//   TSB (form) = yesterday's CTL − yesterday's ATL
+const { query } = require('../db/client');
+const { getHrSettings } = require('./zones');
+
+const CTL_DAYS = 42;
+const ATL_DAYS = 7;
+const MAX_GAP_S = 30;   // longer gaps between HR samples are pauses, not effort
+
+// Bump when the TRIMP formula changes so stored loads are recomputed
+const LOAD_VERSION = 1;
+
+// ── HR profile ────────────────────────────────────────────────────────────────
+
+async function hrProfile(athlete) {
+  const { maxHr, restHr } = await getHrSettings(athlete);
+  return { maxHr, restHr, k: athlete.sex === 'F' ? 1.67 : 1.92 };
+}
+
+// Stored loads are only valid for the profile they were computed with
+function profileKey(p) {
+  return `${LOAD_VERSION}:${p.maxHr}:${p.restHr}:${p.k}`;
+}
+
+// ── TRIMP ─────────────────────────────────────────────────────────────────────
+
+function trimpMinute(hr, p) {
+  const hrr = Math.min(Math.max((hr - p.restHr) / (p.maxHr - p.restHr), 0), 1.1);
+  return hrr * 0.64 * Math.exp(p.k * hrr);
+}
+
+function trimpFromStream(streams, p) {
+  const hr = streams.heartrate, t = streams.time_s, moving = streams.moving;
+  if (!Array.isArray(hr) || !hr.some(v => v > 0) || !Array.isArray(t)) return null;
+  let sum = 0;
+  for (let i = 1; i < hr.length; i++) {
+    const dt = t[i] - t[i - 1];
+    if (!(dt > 0) || dt > MAX_GAP_S || !(hr[i] > 0)) continue;
+    if (Array.isArray(moving) && moving[i] === false) continue;
+    sum += dt / 60 * trimpMinute(hr[i], p);
+  }
+  return sum;
+}
+
+function trimpFromAverage(movingTimeS, avgHr, p) {
+  if (!(movingTimeS > 0) || !(avgHr > 0)) return null;
+  return movingTimeS / 60 * trimpMinute(avgHr, p);
+}
+
+// ── Pace fallback ─────────────────────────────────────────────────────────────
+// For runs without HR: fit avg HR against avg speed over the athlete's runs
+// that have both (HR rises roughly linearly with speed), and read off an HR
+// for the run's speed. Too little data → assume the fastest 5% of runs were
+// at ~85% of HR reserve and scale linearly from there.
+function paceModel(runs, p) {
+  const pts = runs.filter(a => a.avg_heartrate > 0 && a.avg_speed_ms > 0 && a.moving_time_s >= 600);
+  if (pts.length >= 8) {
+    const n = pts.length;
+    const mx = pts.reduce((s, a) => s + a.avg_speed_ms, 0) / n;
+    const my = pts.reduce((s, a) => s + a.avg_heartrate, 0) / n;
+    let sxy = 0, sxx = 0;
+    for (const a of pts) { sxy += (a.avg_speed_ms - mx) * (a.avg_heartrate - my); sxx += (a.avg_speed_ms - mx) ** 2; }
+    const slope = sxx ? sxy / sxx : 0;
+    if (slope > 0) return v => my + slope * (v - mx);
+  }
+  const speeds = runs.filter(a => a.avg_speed_ms > 0 && a.moving_time_s >= 1200)
+    .map(a => a.avg_speed_ms).sort((a, b) => a - b);
+  if (!speeds.length) return null;
+  const vRef = speeds[Math.floor((speeds.length - 1) * 0.95)];
+  return v => p.restHr + 0.85 * (v / vRef) * (p.maxHr - p.restHr);
+}
+
+// ── Per-activity loads ────────────────────────────────────────────────────────
+// { load, src } for one activity: from the HR stream when there is one, else
+// average HR. Stored by server/derived.js; the pace fallback below is applied
+// when the series is built, since it depends on the athlete's other runs.
+function trimpOf(act, streams, p) {
+  let load = streams ? trimpFromStream(streams, p) : null;
+  if (load != null) return { load, src: 'stream' };
+  load = trimpFromAverage(act.moving_time_s, act.avg_heartrate, p);
+  return { load, src: load != null ? 'avg_hr' : null };
+}
+
+// ── Fitness / fatigue / form ──────────────────────────────────────────────────
+
+function isoDay(d) { return d.toISOString().slice(0, 10); }
+
+// Returns { profile, days: [{ date, load, ctl, atl, tsb }], sources, races } —
+// sources counts activities by where their load came from.
+// The model always starts at the athlete's first activity so CTL is warmed up;
+// `days` only trims how much of the series is returned.
+async function getLoadSeries(athlete, { days = 365 } = {}) {
+  const p = await hrProfile(athlete);
+
+  const acts = await query(`
+    SELECT strava_id, start_date_local, sport, workout_type, name, distance_m,
+           moving_time_s, avg_heartrate, avg_speed_ms, training_load, training_load_src
+    FROM activities WHERE athlete_id=$1 ORDER BY start_date_local
+  `, [athlete.strava_id]);
+  if (!acts.length) return { profile: p, days: [], sources: {}, races: [] };
+
+  const estimateHr = paceModel(acts.filter(a => a.sport === 'run'), p);
+  const daily = new Map();
+  const sources = { stream: 0, avg_hr: 0, pace: 0, none: 0 };
+  for (const a of acts) {
+    let load = a.training_load, src = a.training_load_src;
+    if (load == null && a.sport === 'run' && estimateHr && a.avg_speed_ms > 0) {
+      load = trimpFromAverage(a.moving_time_s, estimateHr(a.avg_speed_ms), p);
+      src = load != null ? 'pace' : null;
+    }
+    sources[src || 'none']++;
+    if (load == null) continue;
+    const day = isoDay(new Date(a.start_date_local));
+    daily.set(day, (daily.get(day) || 0) + load);
+  }
+
+  const out = [];
+  const first = new Date(isoDay(new Date(acts[0].start_date_local)));
+  const today = new Date(isoDay(new Date()));
+  const cutoff = isoDay(new Date(today.getTime() - (days - 1) * 86400000));
+  let ctl = 0, atl = 0;
+  for (let d = first; d <= today; d = new Date(d.getTime() + 86400000)) {
+    const date = isoDay(d);
+    const load = daily.get(date) || 0;
+    const tsb = ctl - atl;
+    ctl += (load - ctl) / CTL_DAYS;
+    atl += (load - atl) / ATL_DAYS;
+    if (!days || date >= cutoff) {
+      out.push({ date, load: Math.round(load), ctl: +ctl.toFixed(1), atl: +atl.toFixed(1), tsb: +tsb.toFixed(1) });
+    }
+  }
+
+  // Races (Strava workout_type 1) to mark build and taper phases on the chart
+  const races = acts
+    .filter(a => a.workout_type === 1 && (!days || isoDay(new Date(a.start_date_local)) >= cutoff))
+    .map(a => ({ id: a.strava_id, name: a.name, date: isoDay(new Date(a.start_date_local)), distance_m: a.distance_m }));
+
+  return { profile: p, ctlDays: CTL_DAYS, atlDays: ATL_DAYS, days: out, sources, races };
+}
+
+module.exports = { getLoadSeries, hrProfile, profileKey, trimpOf, trimpFromStream, trimpFromAverage };
@@ -0,0 +1,446 @@
+// server/pdf.js — Minimal PDF text extractor (no dependencies)
+// Reads the text of results PDFs that timing software generates, one line of
+// text per visual line: objects are found by scanning (object streams
+// included), page contents are inflated and their text operators replayed to
+// get each string's position and width, then strings are grouped by baseline
+// and ordered left to right, with a space wherever there's a gap. Fonts are
+// decoded through their ToUnicode CMap when they have one, else as
+// single-byte Latin-1.
+//
+// Not a general PDF reader: no encryption and no filters besides FlateDecode.
+//
+// Format: ISO 32000-1 (https://opensource.adobe.com/dc-acrobat-sdk-docs/pdfstandards/PDF32000_2008.pdf)
+const zlib = require('zlib');
+
+const LINE_TOLERANCE = 0.4;   // × font size: baselines closer than this share a line
+const DEFAULT_WIDTH = 500;    // glyph width (thousandths of an em) when the font has none
+const SPACE_GAP = 0.2;        // × font size: a wider gap between strings is a space
+const TJ_SPACE = -200;        // TJ kerning (thousandths of an em) that reads as a space
+
+// ── Tokenizer ─────────────────────────────────────────────────────────────────
+// Works on a latin1 string so every char is one byte. Values:
+//   number, true/false/null, { name }, { str } (raw bytes), [array],
+//   { dict: {…} }, { ref: num } and { op } for bare keywords
+
+const WS = ' \t\r\n\f\0';
+const DELIM = '()<>[]{}/%';
+
+class Lexer {
+  constructor(src, pos = 0) { this.src = src; this.pos = pos; }
+
+  skip() {
+    const s = this.src;
+    while (this.pos < s.length) {
+      if (WS.includes(s[this.pos])) this.pos++;
+      else if (s[this.pos] === '%') { while (this.pos < s.length && s[this.pos] !== '\n' && s[this.pos] !== '\r') this.pos++; }
+      else break;
+    }
+  }
+
+  token() {
+    this.skip();
+    const s = this.src;
+    if (this.pos >= s.length) return null;
+    const c = s[this.pos];
+    if (c === '<' && s[this.pos + 1] === '<') { this.pos += 2; return { punct: '<<' }; }
+    if (c === '>' && s[this.pos + 1] === '>') { this.pos += 2; return { punct: '>>' }; }
+    if (c === '[' || c === ']' || c === '{' || c === '}') { this.pos++; return { punct: c }; }
+    if (c === '(') return { str: this.literal() };
+    if (c === '<') {
+      const end = s.indexOf('>', this.pos);
+      let hex = s.slice(this.pos + 1, end).replace(/\s+/g, '');
+      if (hex.length % 2) hex += '0';
+      this.pos = end + 1;
+      return { str: Buffer.from(hex, 'hex').toString('latin1') };
+    }
+    if (c === '/') {
+      let end = this.pos + 1;
+      while (end < s.length && !WS.includes(s[end]) && !DELIM.includes(s[end])) end++;
+      const name = s.slice(this.pos + 1, end).replace(/#([0-9a-f]{2})/gi, (_, h) => String.fromCharCode(parseInt(h, 16)));
+      this.pos = end;
+      return { name };
+    }
+    let end = this.pos;
+    while (end < s.length && !WS.includes(s[end]) && !DELIM.includes(s[end])) end++;
+    if (end === this.pos) { this.pos++; return { op: c }; }   // stray delimiter
+    const word = s.slice(this.pos, end);
+    this.pos = end;
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { num: parseFloat(word) };
+    return { op: word };
+  }
+
+  // (…) with nested parens and backslash escapes
+  literal() {
+    const s = this.src;
+    let depth = 0, out = '';
+    this.pos++;
+    while (this.pos < s.length) {
+      const c = s[this.pos++];
+      if (c === '\\') {
+        const n = s[this.pos++];
+        const esc = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' }[n];
+        if (esc) out += esc;
+        else if (/[0-7]/.test(n)) {
+          let oct = n;
+          while (oct.length < 3 && /[0-7]/.test(s[this.pos])) oct += s[this.pos++];
+          out += String.fromCharCode(parseInt(oct, 8) & 0xFF);
+        } else if (n === '\r') { if (s[this.pos] === '\n') this.pos++; }
+        else if (n !== '\n') out += n;
+      } else if (c === '(') { depth++; out += c; }
+      else if (c === ')') { if (depth-- === 0) break; out += c; }
+      else out += c;
+    }
+    return out;
+  }
+
+  // One value; `refs` turns "n g R" into { ref } (object bodies, not content)
+  value(refs = true) {
+    const t = this.token();
+    if (!t) return undefined;
+    if (t.punct === '<<') {
+      const dict = {};
+      for (;;) {
+        const k = this.token();
+        if (!k || k.punct === '>>') break;
+        if (k.name != null) dict[k.name] = this.value(refs);
+      }
+      return { dict };
+    }
+    if (t.punct === '[') {
+      const arr = [];
+      for (;;) {
+        const save = this.pos;
+        const k = this.token();
+        if (!k || k.punct === ']') break;
+        this.pos = save;
+        arr.push(this.value(refs));
+      }
+      return arr;
+    }
+    if (t.num != null) {
+      if (refs) {
+        const save = this.pos;
+        const g = this.token(), r = this.token();
+        if (g?.num != null && r?.op === 'R') return { ref: t.num };
+        this.pos = save;
+      }
+      return t.num;
+    }
+    if (t.op === 'true') return true;
+    if (t.op === 'false') return false;
+    if (t.op === 'null') return null;
+    return t;
+  }
+}
+
+// ── Objects ───────────────────────────────────────────────────────────────────
+
+function inflate(data) {
+  try { return zlib.inflateSync(data); } catch (e) { return zlib.inflateRawSync(data.subarray(2)); }
+}
+
+class PdfDoc {
+  constructor(buf) {
+    if (buf.toString('latin1', 0, 5) !== '%PDF-') throw new Error('Not a PDF file');
+    if (/\/Encrypt\b/.test(buf.toString('latin1', Math.max(0, buf.length - 4096)))) {
+      throw new Error('Encrypted PDFs are not supported');
+    }
+    this.buf = buf;
+    this.src = buf.toString('latin1');
+    this.offsets = new Map();   // obj num → offset (later definitions win)
+    this.cache = new Map();
+    for (const m of this.src.matchAll(/(\d+)\s+\d+\s+obj\b/g)) this.offsets.set(+m[1], m.index + m[0].length);
+    this.loadObjectStreams();
+  }
+
+  resolve(v) {
+    let n = 0;
+    while (v && v.ref != null && n++ < 32) v = this.get(v.ref);
+    return v;
+  }
+
+  get(num) {
+    if (this.cache.has(num)) return this.cache.get(num);
+    const at = this.offsets.get(num);
+    if (at == null) return null;
+    this.cache.set(num, null);   // cycle guard
+    const lex = new Lexer(this.src, at);
+    const value = lex.value();
+    const save = lex.pos;
+    const next = lex.token();
+    let obj = value;
+    if (next?.op === 'stream' && value?.dict) {
+      let start = lex.pos;
+      if (this.src[start] === '\r') start++;
+      if (this.src[start] === '\n') start++;
+      let len = this.resolve(value.dict.Length);
+      if (typeof len !== 'number' || this.src.slice(start + len, start + len + 20).indexOf('endstream') < 0) {
+        len = this.src.indexOf('endstream', start) - start;
+      }
+      obj = { dict: value.dict, stream: this.buf.subarray(start, start + len) };
+    } else lex.pos = save;
+    this.cache.set(num, obj);
+    return obj;
+  }
+
+  // Decoded stream bytes, or null for filters we can't undo
+  data(obj) {
+    if (!obj?.stream) return null;
+    let filters = this.resolve(obj.dict.Filter);
+    filters = filters == null ? [] : Array.isArray(filters) ? filters : [filters];
+    let data = obj.stream;
+    for (const f of filters) {
+      if (f.name !== 'FlateDecode' && f.name !== 'Fl') return null;
+      try { data = inflate(data); } catch (e) { return null; }
+    }
+    return data;
+  }
+
+  // PDF 1.5+ can pack objects into compressed object streams
+  loadObjectStreams() {
+    for (const num of [...this.offsets.keys()]) {
+      if (!/\/Type\s*\/ObjStm/.test(this.src.slice(this.offsets.get(num), this.offsets.get(num) + 200))) continue;
+      const os = this.get(num);
+      const data = this.data(os);
+      if (!data) continue;
+      const text = data.toString('latin1');
+      const n = this.resolve(os.dict.N), first = this.resolve(os.dict.First);
+      const head = text.slice(0, first).trim().split(/\s+/).map(Number);
+      for (let i = 0; i < n; i++) {
+        const objNum = head[i * 2];
+        if (this.offsets.has(objNum)) continue;   // a plain definition is newer
+        this.cache.set(objNum, new Lexer(text, first + head[i * 2 + 1]).value());
+      }
+    }
+  }
+
+  // Page dicts in document order, with inherited Resources filled in
+  pages() {
+    const trailer = this.src.lastIndexOf('trailer');
+    let root = null;
+    if (trailer >= 0) root = this.resolve(new Lexer(this.src, trailer + 7).value()?.dict?.Root);
+    if (!root) {
+      // xref-stream files keep the trailer in the stream dict
+      for (const num of this.offsets.keys()) {
+        const o = this.get(num);
+        if (o?.dict?.Type?.name === 'Catalog') { root = o; break; }
+      }
+    }
+    const out = [];
+    const walk = (node, resources, depth) => {
+      node = this.resolve(node);
+      if (!node?.dict || depth > 64) return;
+      const res = node.dict.Resources ?? resources;
+      if (node.dict.Type?.name === 'Pages' || node.dict.Kids) {
+        for (const kid of this.resolve(node.dict.Kids) || []) walk(kid, res, depth + 1);
+      } else out.push({ dict: node.dict, resources: this.resolve(res) });
+    };
+    if (root?.dict) walk(root.dict.Pages, null, 0);
+    return out;
+  }
+}
+
+// ── Fonts ─────────────────────────────────────────────────────────────────────
+
+function utf16be(bytes) {
+  let s = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) s += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+  return s;
+}
+
+function hexCode(h) { return parseInt(h, 16); }
+
+// ToUnicode CMap → { bytes (code length), map: Map(code → text) }
+function parseCMap(text) {
+  const map = new Map();
+  let bytes = 1;
+  const space = text.match(/begincodespacerange\s*<([0-9a-f]+)>/i);
+  if (space) bytes = space[1].length / 2;
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+      map.set(hexCode(m[1]), utf16be(Buffer.from(m[2], 'hex').toString('latin1')));
+    }
+  }
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi)) {
+      const lo = hexCode(m[1]), hi = hexCode(m[2]);
+      if (m[3][0] === '[') {
+        const dsts = [...m[3].matchAll(/<([0-9a-f]*)>/gi)].map(d => utf16be(Buffer.from(d[1], 'hex').toString('latin1')));
+        dsts.forEach((d, i) => { if (lo + i <= hi) map.set(lo + i, d); });
+      } else {
+        const base = utf16be(Buffer.from(m[3].slice(1, -1), 'hex').toString('latin1'));
+        for (let c = lo; c <= hi && c - lo < 65536; c++) {
+          map.set(c, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + (c - lo)));
+        }
+      }
+    }
+  }
+  return { bytes, map };
+}
+
+// Glyph widths of a font: Map(code → width) plus a default
+function fontWidths(doc, f) {
+  const widths = new Map();
+  if (f.Subtype?.name === 'Type0') {
+    const cid = doc.resolve(doc.resolve(f.DescendantFonts)?.[0])?.dict || {};
+    const w = doc.resolve(cid.W) || [];
+    for (let i = 0; i < w.length;) {
+      const first = doc.resolve(w[i]);
+      const next = doc.resolve(w[i + 1]);
+      if (Array.isArray(next)) {   // c [w1 w2 …]
+        next.forEach((v, k) => widths.set(first + k, doc.resolve(v)));
+        i += 2;
+      } else {                     // c1 c2 w
+        const width = doc.resolve(w[i + 2]);
+        for (let c = first; c <= next && c - first < 65536; c++) widths.set(c, width);
+        i += 3;
+      }
+    }
+    return { widths, fallback: doc.resolve(cid.DW) ?? 1000 };
+  }
+  const first = doc.resolve(f.FirstChar) ?? 0;
+  (doc.resolve(f.Widths) || []).forEach((v, k) => widths.set(first + k, doc.resolve(v)));
+  const missing = doc.resolve(doc.resolve(f.FontDescriptor)?.dict?.MissingWidth);
+  return { widths, fallback: missing || DEFAULT_WIDTH };
+}
+
+// { decode(bytes) → text, width(bytes) → ems } for a font dict
+function fontInfo(doc, font) {
+  const f = doc.resolve(font)?.dict;
+  if (!f) return { decode: s => s, width: s => s.length * DEFAULT_WIDTH / 1000 };
+  const type0 = f.Subtype?.name === 'Type0';
+  const tu = doc.data(doc.resolve(f.ToUnicode));
+  const cmap = tu ? parseCMap(tu.toString('latin1')) : null;
+  const bytes = cmap?.bytes || (type0 ? 2 : 1);
+  const codes = s => {
+    const out = [];
+    for (let i = 0; i + bytes <= s.length; i += bytes) {
+      let code = 0;
+      for (let k = 0; k < bytes; k++) code = (code << 8) | s.charCodeAt(i + k);
+      out.push(code);
+    }
+    return out;
+  };
+  const { widths, fallback } = fontWidths(doc, f);
+  return {
+    // without a CMap, Type0 codes are a best guess at UTF-16
+    decode: cmap ? s => codes(s).map(c => cmap.map.get(c) ?? '').join('')
+          : type0 ? utf16be : s => s,
+    width: s => codes(s).reduce((sum, c) => sum + (widths.get(c) ?? fallback), 0) / 1000,
+  };
+}
+
+// ── Content streams ───────────────────────────────────────────────────────────
+
+function mul(m, n) {
+  return [
+    m[0] * n[0] + m[1] * n[2],       m[0] * n[1] + m[1] * n[3],
+    m[2] * n[0] + m[3] * n[2],       m[2] * n[1] + m[3] * n[3],
+    m[4] * n[0] + m[5] * n[2] + n[4], m[4] * n[1] + m[5] * n[3] + n[5],
+  ];
+}
+
+// Text items { x, y, size, text } of one page
+function pageItems(doc, page) {
+  const contents = doc.resolve(page.dict.Contents);
+  const parts = (Array.isArray(contents) ? contents : [contents]).map(c => doc.data(doc.resolve(c))).filter(Boolean);
+  const src = Buffer.concat(parts.flatMap(p => [p, Buffer.from('\n')])).toString('latin1');
+
+  const fontsDict = doc.resolve(page.resources?.dict?.Font)?.dict || {};
+  const fonts = {};
+  const fontFor = name => fonts[name] ??= fontInfo(doc, fontsDict[name]);
+
+  const items = [];
+  const stack = [];
+  let ctm = [1, 0, 0, 1, 0, 0];
+  let tm = [1, 0, 0, 1, 0, 0], tlm = tm;
+  let font = null, size = 12, leading = 0;
+
+  // Shows `parts` (raw strings and TJ kerning numbers) and advances past them
+  const show = parts => {
+    const f = fontFor(font);
+    const m = mul(tm, ctm);
+    let text = '', ems = 0;
+    for (const p of parts) {
+      if (typeof p === 'number') { ems -= p / 1000; if (p < TJ_SPACE) text += ' '; }
+      else { text += f.decode(p); ems += f.width(p); }
+    }
+    tm = mul([1, 0, 0, 1, ems * size, 0], tm);
+    if (!text.trim()) return;
+    const end = mul(tm, ctm);
+    items.push({ x: m[4], y: m[5], end: end[4], size: Math.abs(size * (m[3] || m[0])) || size, text });
+  };
+
+  const lex = new Lexer(src);
+  let ops = [];
+  for (;;) {
+    const save = lex.pos;
+    const t = lex.token();
+    if (!t) break;
+    if (t.punct === '[' || t.punct === '<<') { lex.pos = save; ops.push(lex.value(false)); continue; }
+    if (t.op == null) { ops.push(t.num != null ? t.num : t); continue; }
+
+    const n = ops.map(v => (typeof v === 'number' ? v : 0));
+    switch (t.op) {
+      case 'q':  stack.push(ctm); break;
+      case 'Q':  ctm = stack.pop() || [1, 0, 0, 1, 0, 0]; break;
+      case 'cm': ctm = mul(n.slice(0, 6), ctm); break;
+      case 'BT': tm = tlm = [1, 0, 0, 1, 0, 0]; break;
+      case 'Tf': font = ops[0]?.name; size = n[1] || size; break;
+      case 'TL': leading = n[0]; break;
+      case 'Tm': tm = tlm = n.slice(0, 6); break;
+      case 'Td': tm = tlm = mul([1, 0, 0, 1, n[0], n[1]], tlm); break;
+      case 'TD': leading = -n[1]; tm = tlm = mul([1, 0, 0, 1, n[0], n[1]], tlm); break;
+      case 'T*': tm = tlm = mul([1, 0, 0, 1, 0, -leading], tlm); break;
+      case 'Tj': show([ops[0]?.str || '']); break;
+      case "'":  tm = tlm = mul([1, 0, 0, 1, 0, -leading], tlm); show([ops[0]?.str || '']); break;
+      case '"':  tm = tlm = mul([1, 0, 0, 1, 0, -leading], tlm); show([ops[2]?.str || '']); break;
+      case 'TJ':
+        show((Array.isArray(ops[0]) ? ops[0] : []).map(el => typeof el === 'number' ? el : el?.str || ''));
+        break;
+      case 'BI': {   // inline image: skip its data
+        const end = src.indexOf('EI', lex.pos);
+        lex.pos = end < 0 ? src.length : end + 2;
+        break;
+      }
+    }
+    ops = [];
+  }
+  return items;
+}
+
+// Items → lines, top to bottom and left to right
+function toLines(items) {
+  const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+  for (const it of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - it.y) <= it.size * LINE_TOLERANCE) line.items.push(it);
+    else lines.push({ y: it.y, items: [it] });
+  }
+  return lines.map(l => {
+    let out = '', end = -Infinity;
+    for (const it of l.items.sort((a, b) => a.x - b.x)) {
+      if (out && it.x - end > it.size * SPACE_GAP) out += ' ';
+      out += it.text;
+      end = it.end;
+    }
+    return out.replace(/\s+/g, ' ').trim();
+  }).filter(Boolean);
+}
+
+// ── Entry point ───────────────────────────────────────────────────────────────
+
+// The PDF's text, pages in order, one line per visual line
+function extractPdfText(buf) {
+  const doc = new PdfDoc(buf);
+  const pages = doc.pages();
+  if (!pages.length) throw new Error('No pages found in the PDF');
+  return pages.map(p => toLines(pageItems(doc, p)).join('\n')).join('\n');
+}
+
+function isPdf(buf) {
+  return buf.length > 5 && buf.toString('latin1', 0, 5) === '%PDF-';
+}
+
+module.exports = { extractPdfText, isPdf, parseCMap };
@@ -0,0 +1,229 @@
+// server/predictor.js — Race time predictions from recent performances
+// Sources are the athlete's best efforts (server/efforts.js) and the race
+// results they've claimed, from the last WINDOW_DAYS. Each source predicts
+// every target distance with two models:
+//   Riegel   T₂ = T₁ × (D₂ / D₁)^1.06
+//   VDOT     Daniels & Gilbert: VO₂ demand of the pace over the fraction of
+//            VO₂max sustainable for that long gives a VDOT; the target time is
+//            the one at which the same VDOT comes out (solved by bisection)
+// Sources are weighted — claimed races over training-run efforts, recent
+// over old, near distances over far — and the point estimate is the weighted
+// mean of both models in log-time. The band is ±1 weighted standard deviation
+// of all those estimates, widened by how far the nearest source has to be
+// extrapolated, so a 5K-only history gives a wide marathon band.
+//
+// A race_events entry can be adjusted for forecast weather (server/heat.js)
+// and course elevation: the GAP ratio (server/gap.js) of a cached run of that
+// course when there is one, else a rough Minetti estimate from the course's
+// elevation gain.
+const { query, queryOne } = require('../db/client');
+const { heatAdjustment } = require('./heat');
+const { gradeAdjustment, minettiCost } = require('./gap');
+const { raceActivity } = require('./races');
+
+const WINDOW_DAYS = 180;
+const RIEGEL_EXP = 1.06;
+const SOURCE_MIN_M = 1500;         // shorter efforts say little about endurance
+const RECENCY_DAYS = 60;           // weight halves roughly every 6 weeks
+const EFFORT_WEIGHT = 0.6;         // a training-run effort vs a claimed race
+const BASE_SPREAD = 0.02;          // log-time σ even with a same-distance source
+const EXTRAPOLATION_SPREAD = 0.03; // added σ per unit of |ln(D₂ / D_nearest)|
+const DEFAULT_HUMIDITY = 60;
+const HILL_GRADE = 0.04;           // assumed climb/descent grade for gain-only courses
+
+const TARGETS = [
+  { key: '5k',       label: '5K',       m: 5000 },
+  { key: '10k',      label: '10K',      m: 10000 },
+  { key: 'half',     label: 'Half',     m: 21097.5 },
+  { key: 'marathon', label: 'Marathon', m: 42195 },
+];
+
+// ── Models ────────────────────────────────────────────────────────────────────
+
+function riegel(timeS, fromM, toM) {
+  return timeS * Math.pow(toM / fromM, RIEGEL_EXP);
+}
+
+// Daniels & Gilbert; v in m/min, t in min
+function vo2Demand(v) { return -4.60 + 0.182258 * v + 0.000104 * v * v; }
+function vo2Fraction(t) {
+  return 0.8 + 0.1894393 * Math.exp(-0.012778 * t) + 0.2989558 * Math.exp(-0.1932605 * t);
+}
+function vdotOf(distM, timeS) {
+  const t = timeS / 60;
+  return vo2Demand(distM / t) / vo2Fraction(t);
+}
+// Time for distM at a given VDOT. VDOT falls as time rises, so bisect.
+function vdotTime(vdot, distM) {
+  let lo = distM / 500 * 60, hi = distM / 50 * 60;   // 500 m/min … 50 m/min
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (vdotOf(distM, mid) > vdot) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// ── Sources ───────────────────────────────────────────────────────────────────
+
+// Fastest effort per distance in the window, plus every claimed race result.
+// Efforts from the run matched to a claimed race (raceActivity) are left out —
+// they're the same performance as the result and would count it twice.
+async function recentPerformances(athleteId) {
+  const races = await query(`
+    SELECT re.id AS race_event_id, re.distance_m, rf.chip_time_s AS time_s,
+           COALESCE(re.event_name, re.race_name) AS name, re.event_date AS date
+    FROM race_finishers rf JOIN race_events re ON re.id = rf.race_event_id
+    WHERE rf.athlete_id=$1 AND rf.chip_time_s > 0 AND re.distance_m >= $2
+      AND re.event_date >= (NOW() - ($3::int * INTERVAL '1 day'))::date
+  `, [athleteId, SOURCE_MIN_M, WINDOW_DAYS]);
+  const raceRuns = [];
+  for (const r of races) {
+    const run = await raceActivity(athleteId, r.race_event_id, r.time_s);
+    if (run) raceRuns.push(run.strava_id);
+  }
+  const efforts = await query(`
+    SELECT DISTINCT ON (e.distance_key)
+           e.distance_key AS key, e.distance_m, e.elapsed_s AS time_s, e.activity_id,
+           a.name, a.start_date_local AS date
+    FROM best_efforts e JOIN activities a ON a.strava_id = e.activity_id
+    WHERE a.athlete_id=$1 AND e.distance_m >= $2
+      AND a.start_date_local >= NOW() - ($3::int * INTERVAL '1 day')
+      AND NOT (e.activity_id = ANY($4::bigint[]))
+    ORDER BY e.distance_key, e.elapsed_s
+  `, [athleteId, SOURCE_MIN_M, WINDOW_DAYS, raceRuns]);
+
+  return [
+    ...races.map(r => ({ type: 'race', ...r })),
+    ...efforts.map(e => ({ type: 'effort', ...e })),
+  ].map(p => ({ ...p, date: new Date(p.date).toISOString().slice(0, 10) }));
+}
+
+function sourceWeight(p, targetM, now = Date.now()) {
+  const ageDays = Math.max((now - new Date(p.date).getTime()) / 86400000, 0);
+  return (p.type === 'race' ? 1 : EFFORT_WEIGHT)
+    * Math.exp(-ageDays / RECENCY_DAYS)
+    * Math.exp(-Math.abs(Math.log(targetM / p.distance_m)));
+}
+
+// ── Prediction ────────────────────────────────────────────────────────────────
+
+// { riegel_s, vdot_s, time_s, low_s, high_s } for one distance, or null
+function predictDistance(sources, targetM) {
+  if (!sources.length) return null;
+  const pts = [];
+  let wSum = 0;
+  for (const p of sources) {
+    const w = sourceWeight(p, targetM);
+    const r = Math.log(riegel(p.time_s, p.distance_m, targetM));
+    const v = Math.log(vdotTime(vdotOf(p.distance_m, p.time_s), targetM));
+    pts.push({ w, r, v });
+    wSum += w;
+  }
+  const mean = k => pts.reduce((s, p) => s + p.w * p[k], 0) / wSum;
+  const r = mean('r'), v = mean('v'), c = (r + v) / 2;
+  const variance = pts.reduce((s, p) => s + p.w * ((p.r - c) ** 2 + (p.v - c) ** 2) / 2, 0) / wSum;
+  const nearest = Math.min(...sources.map(p => Math.abs(Math.log(targetM / p.distance_m))));
+  const sigma = Math.sqrt(variance + (BASE_SPREAD + EXTRAPOLATION_SPREAD * nearest) ** 2);
+  return {
+    riegel_s: Math.round(Math.exp(r)),
+    vdot_s:   Math.round(Math.exp(v)),
+    time_s:   Math.round(Math.exp(c)),
+    low_s:    Math.round(Math.exp(c - sigma)),
+    high_s:   Math.round(Math.exp(c + sigma)),
+  };
+}
+
+// ── Race-day adjustments ──────────────────────────────────────────────────────
+
+// Time factor for a course, best source first:
+//   gap     GAP ratio of a cached run of this race (ours or anyone's)
+//   gain    race_events.elevation_gain_m, or the median gain of runs matched
+//           to the race, spread as equal climb and descent at HILL_GRADE
+async function courseFactor(race) {
+  if (!race.event_date || !race.distance_m) {
+    return { factor: 1, src: null, gain_m: race.elevation_gain_m ?? null };
+  }
+  // Same date/distance tolerance as findRaceMatches, over every athlete
+  const matched = `
+    a.sport = 'run'
+    AND ABS(a.start_date_local::date - $1::date) <= 2
+    AND a.distance_m BETWEEN $2 * 0.90 AND $2 * 1.10`;
+  const params = [race.event_date, race.distance_m];
+
+  const cached = await queryOne(`
+    SELECT s.distance_m, s.altitude_m
+    FROM activities a JOIN streams s ON s.activity_id = a.strava_id
+    WHERE ${matched}
+    LIMIT 1
+  `, params);
+  const adj = cached && gradeAdjustment(cached);
+  if (adj) return { factor: adj.ratio, src: 'gap', gain_m: race.elevation_gain_m ?? null };
+
+  let gain = race.elevation_gain_m;
+  if (gain == null) {
+    const row = await queryOne(`
+      SELECT PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY a.total_elevation_m) AS gain
+      FROM activities a
+      WHERE ${matched} AND a.total_elevation_m IS NOT NULL
+    `, params);
+    gain = row?.gain;
+  }
+  if (gain == null) return { factor: 1, src: null, gain_m: null };
+  const hillM = Math.min(2 * gain / HILL_GRADE, race.distance_m);
+  const cost = (hillM / 2) * (minettiCost(HILL_GRADE) + minettiCost(-HILL_GRADE))
+    + (race.distance_m - hillM) * minettiCost(0);
+  return { factor: cost / (race.distance_m * minettiCost(0)), src: 'gain', gain_m: Math.round(gain) };
+}
+
+// ── Entry point ───────────────────────────────────────────────────────────────
+
+// opts: { raceEventId, tempC, humidityPct }
+async function predictRaces(athleteId, { raceEventId = null, tempC = null, humidityPct = null } = {}) {
+  const sources = await recentPerformances(athleteId);
+  const predictions = TARGETS.map(t => ({ ...t, distance_m: t.m, ...predictDistance(sources, t.m) }))
+    .map(({ m, ...p }) => p);
+  const vdot = sources.length
+    ? sources.reduce((s, p) => s + sourceWeight(p, 10000) * vdotOf(p.distance_m, p.time_s), 0)
+      / sources.reduce((s, p) => s + sourceWeight(p, 10000), 0)
+    : null;
+
+  let race = null;
+  if (raceEventId) {
+    const ev = await queryOne(`SELECT * FROM race_events WHERE id=$1`, [raceEventId]);
+    if (!ev) throw new Error('Race not found');
+    const base = ev.distance_m ? predictDistance(sources, ev.distance_m) : null;
+    const course = await courseFactor(ev);
+    const heat = tempC != null ? heatAdjustment(tempC, humidityPct ?? DEFAULT_HUMIDITY) : null;
+    const factor = course.factor * (heat ? heat.factor : 1);
+    race = {
+      id: ev.id,
+      name: ev.event_name || ev.race_name,
+      event_date: ev.event_date,
+      distance_m: ev.distance_m,
+      course: { ...course, factor: +course.factor.toFixed(4) },
+      conditions: tempC != null ? {
+        temp_c: tempC,
+        humidity_pct: humidityPct ?? DEFAULT_HUMIDITY,
+        humidity_assumed: humidityPct == null,
+        dew_point_c: heat?.dew_point_c ?? null,
+        slowdown_pct: heat?.slowdown_pct ?? 0,
+      } : null,
+      base,
+      adjusted: base ? {
+        time_s: Math.round(base.time_s * factor),
+        low_s:  Math.round(base.low_s * factor),
+        high_s: Math.round(base.high_s * factor),
+      } : null,
+    };
+  }
+
+  return {
+    window_days: WINDOW_DAYS,
+    vdot: vdot != null ? +vdot.toFixed(1) : null,
+    sources: sources.map(p => ({ ...p, weight_10k: +sourceWeight(p, 10000).toFixed(3) })),
+    predictions,
+    race,
+  };
+}
+
+module.exports = { predictRaces, riegel, vdotOf, vdotTime, predictDistance };
@@ -0,0 +1,160 @@
+// server/races.js — Reading imported race results
+// Imports live in server/importers/; this is the read side the race routes use.
+const { query, queryOne } = require('../db/client');
+const { fmtTime } = require('./importers/common');
+
+// ── Look up a single bib result ───────────────────────────────────────────────
+// Percentiles are over finishers only (total_finishers counts just those); a
+// DNF / DNS / DQ bib comes back with its status and no ranks or percentiles.
+async function lookupBib(raceEventId, bib) {
+  const finisher = await queryOne(`
+    SELECT f.*, e.event_name, e.event_date, e.total_finishers, e.distance_m
+    FROM race_finishers f
+    JOIN race_events e ON e.id = f.race_event_id
+    WHERE f.race_event_id = $1 AND f.bib = $2
+  `, [raceEventId, bib]);
+
+  if (!finisher) return null;
+
+  // Count age group total
+  const ageTotal = await queryOne(
+    `SELECT COUNT(*) as n FROM race_finishers WHERE race_event_id=$1 AND age_group=$2 AND status='finished'`,
+    [raceEventId, finisher.age_group]
+  );
+  const genderTotal = await queryOne(
+    `SELECT COUNT(*) as n FROM race_finishers WHERE race_event_id=$1 AND gender=$2 AND status='finished'`,
+    [raceEventId, finisher.gender]
+  );
+
+  return {
+    ...finisher,
+    chip_time_fmt: fmtTime(finisher.chip_time_s),
+    gun_time_fmt:  fmtTime(finisher.gun_time_s),
+    age_group_total: parseInt(ageTotal?.n || 0),
+    gender_total: parseInt(genderTotal?.n || 0),
+    overall_pct:    finisher.overall_rank   ? Math.round((1 - finisher.overall_rank   / finisher.total_finishers) * 100) : null,
+    age_group_pct:  finisher.age_group_rank ? Math.round((1 - finisher.age_group_rank / parseInt(ageTotal?.n || 1)) * 100) : null,
+    gender_pct:     finisher.gender_rank    ? Math.round((1 - finisher.gender_rank    / parseInt(genderTotal?.n || 1)) * 100) : null,
+  };
+}
+
+// ── Splits ────────────────────────────────────────────────────────────────────
+
+const HISTOGRAM_BINS = 20;
+
+// Field-wide spread of elapsed times at each checkpoint, with a histogram
+// of HISTOGRAM_BINS equal bins between the fastest and slowest split
+async function splitDistribution(raceEventId) {
+  const checkpoints = await query(`
+    SELECT name,
+           MIN(distance_m) AS distance_m,
+           COUNT(*)::int AS n,
+           MIN(split_s) AS fastest_s,
+           MAX(split_s) AS slowest_s,
+           PERCENTILE_CONT(0.1)  WITHIN GROUP (ORDER BY split_s)::int AS p10_s,
+           PERCENTILE_CONT(0.25) WITHIN GROUP (ORDER BY split_s)::int AS p25_s,
+           PERCENTILE_CONT(0.5)  WITHIN GROUP (ORDER BY split_s)::int AS median_s,
+           PERCENTILE_CONT(0.75) WITHIN GROUP (ORDER BY split_s)::int AS p75_s,
+           PERCENTILE_CONT(0.9)  WITHIN GROUP (ORDER BY split_s)::int AS p90_s
+    FROM race_finisher_splits
+    WHERE race_event_id=$1
+    GROUP BY name
+    ORDER BY MIN(distance_m) NULLS LAST, PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY split_s)
+  `, [raceEventId]);
+  if (!checkpoints.length) return [];
+
+  const bins = await query(`
+    SELECT s.name,
+           WIDTH_BUCKET(s.split_s, r.lo, r.hi + 1, ${HISTOGRAM_BINS}) AS bin,
+           COUNT(*)::int AS n
+    FROM race_finisher_splits s
+    JOIN (SELECT name, MIN(split_s) AS lo, MAX(split_s) AS hi
+          FROM race_finisher_splits WHERE race_event_id=$1 GROUP BY name) r ON r.name = s.name
+    WHERE s.race_event_id=$1
+    GROUP BY s.name, bin
+  `, [raceEventId]);
+
+  return checkpoints.map(c => {
+    const counts = new Array(HISTOGRAM_BINS).fill(0);
+    bins.filter(b => b.name === c.name).forEach(b => { counts[b.bin - 1] = b.n; });
+    return {
+      ...c,
+      histogram: { start_s: c.fastest_s, bin_s: (c.slowest_s - c.fastest_s + 1) / HISTOGRAM_BINS, counts },
+    };
+  });
+}
+
+// An athlete's claimed result in a race with its splits, each ranked against
+// the field at that checkpoint; null when nothing is claimed
+async function claimedSplits(raceEventId, athleteId) {
+  const finisher = await queryOne(`
+    SELECT f.id, f.bib, f.name, f.chip_time_s, e.distance_m AS race_distance_m, e.event_date
+    FROM race_finishers f
+    JOIN race_events e ON e.id = f.race_event_id
+    WHERE f.race_event_id=$1 AND f.athlete_id=$2
+  `, [raceEventId, athleteId]);
+  if (!finisher) return null;
+
+  const splits = await query(`
+    SELECT m.seq, m.name, m.distance_m, m.split_s,
+           COUNT(s.*)::int AS field_n,
+           COUNT(s.*) FILTER (WHERE s.split_s < m.split_s)::int AS faster,
+           PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY s.split_s)::int AS field_median_s
+    FROM race_finisher_splits m
+    JOIN race_finisher_splits s ON s.race_event_id = m.race_event_id AND s.name = m.name
+    WHERE m.finisher_id=$1
+    GROUP BY m.seq, m.name, m.distance_m, m.split_s
+    ORDER BY m.seq
+  `, [finisher.id]);
+
+  return {
+    ...finisher,
+    splits: splits.map(({ faster, ...sp }) => ({
+      ...sp,
+      rank: faster + 1,
+      pct: sp.field_n > 1 ? Math.round((1 - faster / (sp.field_n - 1)) * 100) : null,
+    })),
+  };
+}
+
+// The athlete's Strava run of a race: same date / distance window as
+// findRaceMatches (server/strava.js), closest in elapsed time to the result
+async function raceActivity(athleteId, raceEventId, chipTimeS) {
+  return queryOne(`
+    SELECT a.strava_id, a.name, a.distance_m, a.elapsed_time_s, a.start_date_local
+    FROM race_events re
+    JOIN activities a ON (
+      a.athlete_id = $1
+      AND a.sport = 'run'
+      AND ABS(a.start_date_local::date - re.event_date) <= 2
+      AND re.distance_m > 0
+      AND a.distance_m BETWEEN re.distance_m * 0.90 AND re.distance_m * 1.10
+    )
+    WHERE re.id = $2
+    ORDER BY ABS(COALESCE(a.elapsed_time_s, a.moving_time_s) - COALESCE($3, 0)) ASC
+    LIMIT 1
+  `, [athleteId, raceEventId, chipTimeS]);
+}
+
+// Elapsed time in a run's streams at each checkpoint. A watch measures the
+// course long or short, so checkpoints are placed at the same fraction of the
+// watch's distance as of the certified race distance; elapsed time counts
+// from the first sample, i.e. from when the watch was started.
+function watchSplits(splits, streams, raceDistanceM) {
+  const d = streams?.distance_m, t = streams?.time_s;
+  if (!Array.isArray(d) || !Array.isArray(t) || d.length < 2) return splits.map(() => null);
+  const scale = raceDistanceM > 0 ? d[d.length - 1] / raceDistanceM : 1;
+
+  return splits.map(sp => {
+    if (!sp.distance_m) return null;
+    const target = sp.distance_m * scale;
+    let i = 1;
+    while (i < d.length && !(d[i] >= target)) i++;
+    if (i >= d.length) return null;
+    const span = d[i] - d[i - 1];
+    const frac = span > 0 ? (target - d[i - 1]) / span : 0;
+    return Math.round(t[i - 1] + frac * (t[i] - t[i - 1]) - t[0]);
+  });
+}
+
+module.exports = { lookupBib, splitDistribution, claimedSplits, raceActivity, watchSplits };
@@ -0,0 +1,46 @@
+// server/sports.js — Sport classification and per-sport efficiency
+// Strava has dozens of sport_type values; the app groups them into a handful
+// of sports that share metrics: run, ride, hike, walk, everything else 'other'.
+
+const RIDE_TYPES = ['Ride', 'MountainBikeRide', 'GravelRide', 'EBikeRide', 'EMountainBikeRide',
+  'VirtualRide', 'Velomobile', 'Handcycle'];
+
+const SPORTS = ['run', 'ride', 'hike', 'walk', 'other'];
+
+// Same run test the sync has always used, so existing run data classifies unchanged
+function sportOf(a) {
+  const type = a.sport_type || a.type || '';
+  if (['Run', 'VirtualRun', 'TrailRun'].includes(a.type) || type.toLowerCase().includes('run')) return 'run';
+  if (RIDE_TYPES.includes(type) || RIDE_TYPES.includes(a.type)) return 'ride';
+  if (type === 'Hike') return 'hike';
+  if (type === 'Walk') return 'walk';
+  return 'other';
+}
+
+// Average aerobic efficiency: speed (m/s) per bpm of average HR, ×1000
+function aeScore(speedMs, avgHr) {
+  return (speedMs && avgHr) ? parseFloat((speedMs / avgHr * 1000).toFixed(4)) : null;
+}
+
+// Metres of climbing that cost about as much as one flat metre (Naismith-style)
+const HIKE_CLIMB_FACTOR = 8;
+
+// The AE variant stored in activities.ae_score for each sport:
+//   run, walk, other — aeScore (speed per beat), unchanged from before
+//   ride — watts per beat when a power meter was used (cycling's "efficiency
+//          factor"), else speed per beat; speed alone swings with wind and drafting
+//   hike — speed per beat with climbing folded into distance, so a steep slow
+//          hike isn't scored as inefficient
+function efficiencyScore(sport, { speedMs, avgHr, avgWatts, elevGainM, movingTimeS }) {
+  if (!avgHr) return null;
+  if (sport === 'ride' && avgWatts) {
+    return parseFloat((avgWatts / avgHr).toFixed(4));
+  }
+  if (sport === 'hike' && movingTimeS > 0 && speedMs) {
+    const flatSpeed = speedMs + (elevGainM || 0) * HIKE_CLIMB_FACTOR / movingTimeS;
+    return aeScore(flatSpeed, avgHr);
+  }
+  return aeScore(speedMs, avgHr);
+}
+
+module.exports = { SPORTS, sportOf, aeScore, efficiencyScore };
@@ -0,0 +1,175 @@
+// server/spreadsheet.js — Minimal CSV and XLSX readers (no dependencies)
+// Enough to read race results organizers email out: the first worksheet of an
+// .xlsx (ZIP of XML parts, deflate via zlib) or a CSV / TSV / semicolon file,
+// as an array of rows of cell values. XLSX numbers come back as numbers — a
+// time-formatted cell is a fraction of a day — and everything else as text.
+//
+// XLSX parts: https://learn.microsoft.com/en-us/office/open-xml/spreadsheet/structure-of-a-spreadsheetml-document
+const zlib = require('zlib');
+
+// ── ZIP ───────────────────────────────────────────────────────────────────────
+
+// { name → Buffer } for every file in a ZIP archive (central directory walk)
+function unzip(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a ZIP archive');
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+
+  const files = {};
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+    const method   = buf.readUInt16LE(p + 10);
+    const compSize = buf.readUInt32LE(p + 20);
+    const nameLen  = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const comLen   = buf.readUInt16LE(p + 32);
+    const local    = buf.readUInt32LE(p + 42);
+    const name     = buf.toString('utf8', p + 46, p + 46 + nameLen);
+    p += 46 + nameLen + extraLen + comLen;
+
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const data  = buf.subarray(start, start + compSize);
+    if (method === 0) files[name] = data;
+    else if (method === 8) files[name] = zlib.inflateRawSync(data);
+    // other methods never appear in spreadsheets; skip rather than fail
+  }
+  return files;
+}
+
+// ── XLSX ──────────────────────────────────────────────────────────────────────
+
+function unescapeXml(s) {
+  return s
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Text of every <t> inside a fragment (rich-text runs are split across several)
+function textOf(xml) {
+  let out = '';
+  for (const m of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) out += m[1];
+  return unescapeXml(out);
+}
+
+function attr(attrs, name) {
+  const m = attrs.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return m ? m[1] : null;
+}
+
+// "AB12" → 27 (0-based column index)
+function colIndex(ref) {
+  let n = 0;
+  for (const ch of ref.replace(/\d+$/, '')) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// Path of the workbook's first sheet, via workbook.xml and its relationships
+function firstSheetPath(files) {
+  const workbook = files['xl/workbook.xml']?.toString('utf8') || '';
+  const rels = files['xl/_rels/workbook.xml.rels']?.toString('utf8') || '';
+  const sheet = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+  if (sheet) {
+    const rel = [...rels.matchAll(/<Relationship\b([^>]*)\/?>/g)]
+      .map(m => m[1]).find(a => attr(a, 'Id') === sheet[1]);
+    const target = rel && attr(rel, 'Target');
+    if (target) {
+      const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+      if (files[path]) return path;
+    }
+  }
+  return Object.keys(files).filter(n => /^xl\/worksheets\/sheet\d+\.xml$/.test(n)).sort()[0] || null;
+}
+
+function readXlsx(buf) {
+  const files = unzip(buf);
+  const path = firstSheetPath(files);
+  if (!path) throw new Error('No worksheet found in the workbook');
+
+  const shared = [];
+  const sst = files['xl/sharedStrings.xml']?.toString('utf8');
+  if (sst) for (const m of sst.matchAll(/<si>([\s\S]*?)<\/si>/g)) shared.push(textOf(m[1]));
+
+  const rows = [];
+  const sheet = files[path].toString('utf8');
+  for (const r of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+    let next = 0;
+    for (const c of (r[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = attr(c[1], 'r');
+      const i = ref ? colIndex(ref) : next;
+      next = i + 1;
+      const type = attr(c[1], 't');
+      const inner = c[2] || '';
+      const v = inner.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let val = null;
+      if (type === 's')              val = v != null ? shared[parseInt(v)] ?? null : null;
+      else if (type === 'inlineStr') val = textOf(inner);
+      else if (type === 'str' || type === 'e') val = v != null ? unescapeXml(v) : null;
+      else if (type === 'b')         val = v === '1';
+      else if (v != null)            val = Number(v);
+      row[i] = val;
+    }
+    const at = attr(r[1], 'r');
+    rows[at ? parseInt(at) - 1 : rows.length] = row;
+  }
+  return Array.from(rows, r => Array.from(r || [], v => v ?? null));
+}
+
+// ── CSV ───────────────────────────────────────────────────────────────────────
+
+// The delimiter that splits some line near the top into the most fields (the
+// first lines are often a title)
+function sniffDelimiter(text) {
+  const lines = text.split(/\r?\n/, 10);
+  const counts = [',', ';', '\t'].map(d => [d, Math.max(...lines.map(l => l.split(d).length))]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// RFC 4180: quoted fields may hold delimiters, newlines and "" escapes
+function parseCsv(text, delimiter = sniffDelimiter(text)) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') quoted = true;
+    else if (ch === delimiter) { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += ch;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.map(r => r.map(v => v.trim() === '' ? null : v.trim()));
+}
+
+// Excel on Windows saves CSV as Windows-1252; fall back to latin1 when the
+// bytes aren't valid UTF-8
+function decodeText(buf) {
+  const utf8 = buf.toString('utf8');
+  return (utf8.includes('\uFFFD') ? buf.toString('latin1') : utf8).replace(/^\uFEFF/, '');
+}
+
+// ── Entry point ───────────────────────────────────────────────────────────────
+
+function isXlsx(buf, filename) {
+  return /\.xlsx$/i.test(filename || '') || (buf.length > 4 && buf.readUInt32LE(0) === 0x04034b50);
+}
+
+// Rows (arrays of cell values) of a CSV / TSV / XLSX file. Blank rows are kept
+// so indexes match the row numbers the file's author sees.
+function readSpreadsheet(buf, filename) {
+  if (/\.xls$/i.test(filename || '')) throw new Error('Old .xls files are not supported — save as .xlsx or CSV');
+  return isXlsx(buf, filename) ? readXlsx(buf) : parseCsv(decodeText(buf));
+}
+
+module.exports = { readSpreadsheet, readXlsx, parseCsv, unzip };
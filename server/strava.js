@@ -1,8 +1,11 @@
 // server/strava.js — Strava API wrapper with auto token refresh
 const fetch = require('node-fetch');
 const { query, queryOne } = require('../db/client');
+const { sportOf, efficiencyScore } = require('./sports');
+const { deriveStreams } = require('./derived');
+const { rebuildRecords } = require('./efforts');
 
-const STRAVA_BASE = 'https://www.strava.com/api/v3';
+const STRAVA_BASE = process.env.STRAVA_BASE || 'https://www.strava.com/api/v3';
 
 // ── Weather fetch (Open-Meteo, free, no API key) ───────────────────────────────
 async function fetchWeather(lat, lon, isoDate) {
@@ -62,36 +65,196 @@ async function refreshTokenIfNeeded(athlete) {
   return data.access_token;
 }
 
+// ── Rate limiting ─────────────────────────────────────────────────────────────
+// Strava limits each app to N requests per 15 minutes (windows reset at :00,
+// :15, :30, :45) and M per UTC day, and reports usage on every response:
+//   X-RateLimit-Limit: 200,2000    X-RateLimit-Usage: 37,1204
+// (plus X-ReadRateLimit-* for the stricter read-only budget). Limits are per
+// app, not per athlete, so the state lives at module level.
+
+// Background work (sync jobs, webhook, admin backfills) stops this many calls
+// short of each limit; page views (streams, laps) may spend the reserve but
+// never wait for a window — they fail with a RateLimitError instead.
+const RATE_RESERVE = parseInt(process.env.STRAVA_RATE_RESERVE) || 5;
+const MAX_RETRIES  = 4;
+
+const rateLimit = {
+  overall:   { limit15: null, limitDay: null, usage15: null, usageDay: null },
+  read:      { limit15: null, limitDay: null, usage15: null, usageDay: null },
+  updatedAt: null,   // when the headers above were last read
+  waitingUntil: null,
+  requests: 0,
+  throttled: 0,      // 429s received since start
+};
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function nextQuarterHour(from = Date.now()) {
+  const q = 15 * 60 * 1000;
+  return Math.floor(from / q) * q + q;
+}
+
+function nextUtcMidnight(from = Date.now()) {
+  const d = new Date(from);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+}
+
+function readRateHeaders(res) {
+  const pair = name => {
+    const v = res.headers.get(name);
+    if (!v) return null;
+    const [a, b] = v.split(',').map(x => parseInt(x));
+    return isNaN(a) ? null : [a, b];
+  };
+  const apply = (bucket, limit, usage) => {
+    if (limit) [bucket.limit15, bucket.limitDay] = limit;
+    if (usage) [bucket.usage15, bucket.usageDay] = usage;
+  };
+  apply(rateLimit.overall, pair('x-ratelimit-limit'),     pair('x-ratelimit-usage'));
+  apply(rateLimit.read,    pair('x-readratelimit-limit'), pair('x-readratelimit-usage'));
+  rateLimit.updatedAt = Date.now();
+}
+
+// Usage as of now — counts from a window that has since rolled over are stale
+function currentUsage(bucket) {
+  const at = rateLimit.updatedAt;
+  if (!at) return { used15: 0, usedDay: 0 };
+  const now = Date.now();
+  return {
+    used15:  nextQuarterHour(at) <= now ? 0 : (bucket.usage15 || 0),
+    usedDay: nextUtcMidnight(at) <= now ? 0 : (bucket.usageDay || 0),
+  };
+}
+
+// How long to hold off before the next call, or 0 if there's budget left
+function budgetWaitMs(reserve = RATE_RESERVE) {
+  let wait = 0;
+  for (const bucket of [rateLimit.overall, rateLimit.read]) {
+    if (!bucket.limit15) continue;
+    const { used15, usedDay } = currentUsage(bucket);
+    if (bucket.limitDay && usedDay >= bucket.limitDay - reserve) {
+      wait = Math.max(wait, nextUtcMidnight() - Date.now());
+    } else if (used15 >= bucket.limit15 - reserve) {
+      wait = Math.max(wait, nextQuarterHour() - Date.now());
+    }
+  }
+  return wait;
+}
+
+class RateLimitError extends Error {
+  constructor(resetAt) {
+    super(`Strava rate limit reached — resumes after ${new Date(resetAt).toISOString()}`);
+    this.name    = 'RateLimitError';
+    this.resetAt = resetAt;
+  }
+}
+
+// A 15-minute wait is fine to sit through; a daily one is not
+async function waitForBudget(reserve) {
+  const wait = budgetWaitMs(reserve);
+  if (!wait) return;
+  const until = Date.now() + wait;
+  if (wait > 16 * 60 * 1000) throw new RateLimitError(until);
+  console.log(`Strava budget exhausted — waiting ${Math.ceil(wait / 1000)}s for the next window`);
+  rateLimit.waitingUntil = until;
+  try { await sleep(wait + 1000); } finally { rateLimit.waitingUntil = null; }
+}
+
+// Page views: use the reserve, but don't sit in a request waiting for it
+function checkBudget() {
+  const wait = budgetWaitMs(0);
+  if (wait) throw new RateLimitError(Date.now() + wait);
+}
+
+function getRateLimitStatus() {
+  const view = bucket => {
+    const { used15, usedDay } = currentUsage(bucket);
+    return {
+      used_15min: used15, limit_15min: bucket.limit15,
+      used_daily: usedDay, limit_daily: bucket.limitDay,
+    };
+  };
+  return {
+    overall: view(rateLimit.overall),
+    read:    view(rateLimit.read),
+    resets_15min_at: new Date(nextQuarterHour()).toISOString(),
+    resets_daily_at: new Date(nextUtcMidnight()).toISOString(),
+    updated_at:    rateLimit.updatedAt ? new Date(rateLimit.updatedAt).toISOString() : null,
+    waiting_until: rateLimit.waitingUntil ? new Date(rateLimit.waitingUntil).toISOString() : null,
+    requests_since_start:  rateLimit.requests,
+    throttled_since_start: rateLimit.throttled,
+    reserve: RATE_RESERVE,
+  };
+}
+
 // ── Generic authenticated fetch ───────────────────────────────────────────────
+// Waits for budget before each call, resumes after a 429 once the window rolls
+// over, and backs off exponentially on 5xx / network errors. With
+// { interactive: true } (a page is waiting) there's no waiting: an exhausted
+// budget or a 429 throws RateLimitError right away.
 
-async function stravaFetch(athlete, path, params = {}) {
+async function stravaFetch(athlete, path, params = {}, { interactive = false } = {}) {
   const token = await refreshTokenIfNeeded(athlete);
   const url = new URL(`${STRAVA_BASE}${path}`);
   Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, v));
 
-  const res = await fetch(url.toString(), {
-    headers: { Authorization: `Bearer ${token}` },
-  });
+  for (let attempt = 0; ; attempt++) {
+    if (interactive) checkBudget();
+    else await waitForBudget();
+
+    let res;
+    try {
+      rateLimit.requests++;
+      res = await fetch(url.toString(), {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 30000,
+      });
+    } catch (e) {
+      if (attempt >= MAX_RETRIES) throw e;
+      await sleep(1000 * 2 ** attempt);
+      continue;
+    }
+    readRateHeaders(res);
+
+    if (res.ok) return res.json();
+
+    if (res.status === 429 && attempt < MAX_RETRIES) {
+      rateLimit.throttled++;
+      if (interactive) throw new RateLimitError(Date.now() + (budgetWaitMs(0) || nextQuarterHour() - Date.now()));
+      // Usage headers on the 429 tell us which window ran out; if they don't,
+      // pause briefly rather than hammering
+      if (budgetWaitMs(0)) await waitForBudget(0);
+      else await sleep(Math.min(nextQuarterHour() - Date.now(), 60000));
+      continue;
+    }
+    if (res.status >= 500 && attempt < MAX_RETRIES) {
+      await sleep(1000 * 2 ** attempt);
+      continue;
+    }
 
-  if (!res.ok) {
     const text = await res.text();
     throw new Error(`Strava ${path} → ${res.status}: ${text}`);
   }
-  return res.json();
 }
 
 // ── Activities sync ───────────────────────────────────────────────────────────
 
-async function syncActivities(athlete) {
+// Options (all optional) let a background job resume where it stopped:
+//   after      — unix cutoff; defaults to last_sync_at
+//   startPage  — first page to fetch (pages before it were already processed)
+//   imported   — activities already imported by earlier pages
+//   startedAt  — becomes last_sync_at, so activities uploaded mid-sync aren't skipped
+//   onPage     — awaited after each page with { page, imported }
+async function syncActivities(athlete, opts = {}) {
   // Figure out what timestamp to fetch from
-  const lastSync = athlete.last_sync_at
+  const lastSync = opts.after ?? (athlete.last_sync_at
     ? Math.floor(new Date(athlete.last_sync_at).getTime() / 1000)
-    : 0;
+    : 0);
 
   console.log(`Syncing activities for ${athlete.strava_id} since ${lastSync}`);
 
-  let page = 1;
-  let totalNew = 0;
+  let page = opts.startPage || 1;
+  let totalNew = opts.imported || 0;
 
   while (true) {
     const params = { per_page: 50, page };
@@ -101,66 +264,18 @@ async function syncActivities(athlete) {
     if (!Array.isArray(acts) || acts.length === 0) break;
 
     for (const a of acts) {
-      // Only sync runs
-      const isRun = ['Run','VirtualRun','TrailRun'].includes(a.type) ||
-                    (a.sport_type || '').toLowerCase().includes('run');
-      if (!isRun) continue;
-
-      // Upsert gear if present
-      if (a.gear_id) {
-        await upsertGear(athlete, a.gear_id);
-      }
-
-      // Pre-compute AE score from summary data
-      const ae = (a.average_speed && a.average_heartrate)
-        ? parseFloat((a.average_speed / a.average_heartrate * 1000).toFixed(4))
-        : null;
-
-      // Save and use start lat/lon
-      const lat = a.start_latlng?.[0] || null;
-      const lon = a.start_latlng?.[1] || null;
-      const { temp_c, humidity_pct } = await fetchWeather(lat, lon, a.start_date);
-
-      // Upsert activity
-      await query(`
-        INSERT INTO activities (
-          strava_id, athlete_id, name, distance_m, moving_time_s, elapsed_time_s,
-          start_date, start_date_local, activity_type, sport_type, workout_type,
-          gear_id, avg_heartrate, max_heartrate, avg_speed_ms, total_elevation_m,
-          has_heartrate, ae_score, map_polyline, start_lat, start_lng, temp_c, humidity_pct
-        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23)
-        ON CONFLICT (strava_id) DO UPDATE SET
-          name=EXCLUDED.name, gear_id=EXCLUDED.gear_id,
-          avg_heartrate=EXCLUDED.avg_heartrate, ae_score=EXCLUDED.ae_score,
-          start_lat=COALESCE(activities.start_lat, EXCLUDED.start_lat),
-          start_lng=COALESCE(activities.start_lng, EXCLUDED.start_lng),
-          temp_c=COALESCE(activities.temp_c, EXCLUDED.temp_c),
-          humidity_pct=COALESCE(activities.humidity_pct, EXCLUDED.humidity_pct)
-      `, [
-        a.id, athlete.strava_id, a.name,
-        a.distance, a.moving_time, a.elapsed_time,
-        a.start_date, a.start_date_local,
-        a.type, a.sport_type, a.workout_type,
-        a.gear_id || null,
-        a.average_heartrate || null, a.max_heartrate || null,
-        a.average_speed || null, a.total_elevation_gain || null,
-        a.has_heartrate || false,
-        ae,
-        a.map?.summary_polyline || null,
-        lat, lon, temp_c, humidity_pct,
-      ]);
-
-      totalNew++;
+      if (await upsertActivity(athlete, a)) totalNew++;
     }
 
+    if (opts.onPage) await opts.onPage({ page, imported: totalNew });
     if (acts.length < 50) break;
     page++;
   }
 
   // Update last sync timestamp
   await query(
-    `UPDATE athletes SET last_sync_at=NOW() WHERE strava_id=$1`,
-    [athlete.strava_id]
+    `UPDATE athletes SET last_sync_at=COALESCE($2, NOW()) WHERE strava_id=$1`,
+    [athlete.strava_id, opts.startedAt || null]
   );
 
   // After sync, find any race matches for this athlete
@@ -170,9 +285,231 @@ async function syncActivities(athlete) {
   return { newActivities: totalNew, raceMatches };
 }
 
+// Rough page count for a sync, from the athlete's lifetime / 4-week totals.
+// Only runs, rides and swims are counted by Strava, so this is a lower bound.
+async function estimateSyncPages(athlete, after) {
+  try {
+    const st = await stravaFetch(athlete, `/athletes/${athlete.strava_id}/stats`);
+    const count = t => ['run', 'ride', 'swim']
+      .reduce((n, k) => n + (st[`${t}_${k}_totals`]?.count || 0), 0);
+    const fourWeeksAgo = Math.floor(Date.now() / 1000) - 28 * 86400;
+    if (!after) return Math.max(1, Math.ceil(count('all') / 50));
+    if (after >= fourWeeksAgo) return Math.max(1, Math.ceil(count('recent') / 50));
+  } catch (e) {
+    console.warn('Could not estimate sync size:', e.message);
+  }
+  return null;
+}
+
+// ── Reconciliation ────────────────────────────────────────────────────────────
+// The incremental sync only asks for activities after last_sync_at, so edits
+// (rename, Run → Race, new shoes) and deletions on Strava never reach us.
+// Reconcile re-walks a window of history, diffs it against the DB, applies
+// updates and removes what Strava no longer has. `days` = null walks everything.
+
+const RECONCILE_FIELDS = [
+  ['name',          a => a.name],
+  ['sport_type',    a => a.sport_type],
+  ['workout_type',  a => a.workout_type ?? null],
+  ['gear_id',       a => a.gear_id || null],
+  ['distance_m',    a => a.distance],
+  ['moving_time_s', a => a.moving_time],
+];
+
+function diffActivity(row, a) {
+  const changes = {};
+  for (const [col, get] of RECONCILE_FIELDS) {
+    const before = row[col] ?? null;
+    const after  = get(a) ?? null;
+    const same = (typeof before === 'number' || typeof after === 'number')
+      ? Math.abs((before || 0) - (after || 0)) < 1
+      : before === after;
+    if (!same) changes[col] = [before, after];
+  }
+  return changes;
+}
+
+async function reconcileActivities(athlete, { days = null, onPage } = {}) {
+  const after = days ? Math.floor(Date.now() / 1000) - days * 86400 : 0;
+  console.log(`Reconciling activities for ${athlete.strava_id} (${days ? `${days} days` : 'full history'})`);
+
+  // Everything we currently hold in the window, keyed by Strava ID. Uploaded
+  // files never came from Strava, so they're left out of the diff.
+  const rows = await query(`
+    SELECT strava_id, name, sport_type, workout_type, gear_id, distance_m, moving_time_s
+    FROM activities
+    WHERE athlete_id=$1 AND start_date >= to_timestamp($2) AND source='strava'
+  `, [athlete.strava_id, after]);
+  const known = new Map(rows.map(r => [String(r.strava_id), r]));
+
+  const report = { window_days: days, checked: 0, added: [], updated: [], removed: [] };
+  const seen = new Set();
+  let page = 1;
+
+  while (true) {
+    const params = { per_page: 100, page };
+    if (after > 0) params.after = after;
+    const acts = await stravaFetch(athlete, '/athlete/activities', params);
+    if (!Array.isArray(acts) || acts.length === 0) break;
+
+    for (const a of acts) {
+      const id  = String(a.id);
+      const row = known.get(id);
+      report.checked++;
+
+      seen.add(id);
+
+      if (!row) {
+        if (await upsertActivity(athlete, a)) report.added.push({ id: a.id, name: a.name });
+        continue;
+      }
+      const changes = diffActivity(row, a);
+      if (Object.keys(changes).length) {
+        await upsertActivity(athlete, a);
+        report.updated.push({ id: a.id, name: a.name, changes });
+      }
+    }
+
+    if (onPage) await onPage({ page, checked: report.checked });
+    if (acts.length < 100) break;
+    page++;
+  }
+
+  // Whatever we hold in the window that Strava didn't list was deleted there.
+  // Streams rows are removed with it (ON DELETE CASCADE).
+  for (const [id, row] of known) {
+    if (seen.has(id) || report.removed.some(r => String(r.id) === id)) continue;
+    await query(`DELETE FROM activities WHERE strava_id=$1`, [id]);
+    report.removed.push({ id: Number(id), name: row.name, reason: 'deleted on Strava' });
+  }
+  // A deleted run may have held a PR (its efforts cascade with it)
+  if (report.removed.length) await rebuildRecords(athlete.strava_id);
+
+  console.log(`Reconciled ${athlete.strava_id}: ${report.checked} checked, +${report.added.length} ~${report.updated.length} -${report.removed.length}`);
+  return report;
+}
+
+// ── Activity upsert ───────────────────────────────────────────────────────────
+// Shared by the paginated sync and the webhook receiver. `a` is a Strava
+// SummaryActivity or DetailedActivity — both carry the fields we store.
+// Returns false when it wasn't stored because an upload already has the run.
+
+async function upsertActivity(athlete, a) {
+  const prev = await queryOne(`SELECT temp_c FROM activities WHERE strava_id=$1`, [a.id]);
+  if (!prev && await uploadedCopyOf(athlete, a)) return false;
+
+  // Upsert gear if present; without a gear row the activity is stored unlinked
+  const gearId = a.gear_id && await upsertGear(athlete, a.gear_id) ? a.gear_id : null;
+
+  // Pre-compute the sport's AE variant from summary data
+  const sport = sportOf(a);
+  const ae = efficiencyScore(sport, {
+    speedMs:     a.average_speed,
+    avgHr:       a.average_heartrate,
+    avgWatts:    a.device_watts ? a.average_watts : null,
+    elevGainM:   a.total_elevation_gain,
+    movingTimeS: a.moving_time,
+  });
+
+  // Save and use start lat/lon — weather is only looked up once per activity
+  const lat = a.start_latlng?.[0] || null;
+  const lon = a.start_latlng?.[1] || null;
+  const { temp_c, humidity_pct } = prev?.temp_c != null
+    ? { temp_c: null, humidity_pct: null }
+    : await fetchWeather(lat, lon, a.start_date);
+
+  await query(`
+    INSERT INTO activities (
+      strava_id, athlete_id, name, distance_m, moving_time_s, elapsed_time_s,
+      start_date, start_date_local, activity_type, sport_type, workout_type,
+      gear_id, avg_heartrate, max_heartrate, avg_speed_ms, total_elevation_m,
+      has_heartrate, ae_score, map_polyline, start_lat, start_lng, temp_c, humidity_pct,
+      sport, avg_watts
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25)
+    ON CONFLICT (strava_id) DO UPDATE SET
+      name=EXCLUDED.name, gear_id=EXCLUDED.gear_id,
+      activity_type=EXCLUDED.activity_type, sport_type=EXCLUDED.sport_type,
+      sport=EXCLUDED.sport, avg_watts=EXCLUDED.avg_watts,
+      workout_type=EXCLUDED.workout_type,
+      distance_m=EXCLUDED.distance_m, moving_time_s=EXCLUDED.moving_time_s,
+      elapsed_time_s=EXCLUDED.elapsed_time_s, total_elevation_m=EXCLUDED.total_elevation_m,
+      avg_speed_ms=EXCLUDED.avg_speed_ms, max_heartrate=EXCLUDED.max_heartrate,
+      avg_heartrate=EXCLUDED.avg_heartrate, has_heartrate=EXCLUDED.has_heartrate,
+      ae_score=EXCLUDED.ae_score, map_polyline=EXCLUDED.map_polyline,
+      start_lat=COALESCE(activities.start_lat, EXCLUDED.start_lat),
+      start_lng=COALESCE(activities.start_lng, EXCLUDED.start_lng),
+      temp_c=COALESCE(activities.temp_c, EXCLUDED.temp_c),
+      humidity_pct=COALESCE(activities.humidity_pct, EXCLUDED.humidity_pct),
+      -- Edits that change the effort invalidate the stored training load
+      training_load_key=CASE
+        WHEN activities.avg_heartrate IS DISTINCT FROM EXCLUDED.avg_heartrate
+          OR activities.moving_time_s IS DISTINCT FROM EXCLUDED.moving_time_s
+        THEN NULL ELSE activities.training_load_key END,
+      -- GAP AE is built on the average speed and HR
+      gap_v=CASE
+        WHEN activities.avg_heartrate IS DISTINCT FROM EXCLUDED.avg_heartrate
+          OR activities.avg_speed_ms IS DISTINCT FROM EXCLUDED.avg_speed_ms
+          OR activities.sport IS DISTINCT FROM EXCLUDED.sport
+        THEN NULL ELSE activities.gap_v END
+  `, [
+    a.id, athlete.strava_id, a.name,
+    a.distance, a.moving_time, a.elapsed_time,
+    a.start_date, a.start_date_local,
+    a.type, a.sport_type, a.workout_type,
+    gearId,
+    a.average_heartrate || null, a.max_heartrate || null,
+    a.average_speed || null, a.total_elevation_gain || null,
+    a.has_heartrate || false,
+    ae,
+    a.map?.summary_polyline || null,
+    lat, lon, temp_c, humidity_pct,
+    sport, a.average_watts || null,
+  ]);
+}
+
+// ── Uploaded copies ───────────────────────────────────────────────────────────
+// A run uploaded as a file (server/upload.js) that later reaches Strava is the
+// same activity twice. Uploads are checked against what we have; this is the
+// other direction — the upload stays (with the user's name, streams and derived
+// values) and the Strava copy isn't stored. Only new Strava IDs are checked.
+
+const DUP_WINDOW_S  = 120;   // start times within ±2 min
+const DUP_DIST_FRAC = 0.05;  // distances within ±5%
+
+async function uploadedCopyOf(athlete, a) {
+  const upload = await queryOne(`
+    SELECT strava_id, name FROM activities
+    WHERE athlete_id=$1 AND source='upload'
+      AND ABS(EXTRACT(EPOCH FROM (start_date - $2::timestamptz))) <= $3
+      AND ABS(distance_m - $4) <= $4 * $5
+    LIMIT 1
+  `, [athlete.strava_id, a.start_date, DUP_WINDOW_S, a.distance || 0, DUP_DIST_FRAC]);
+  if (upload) console.log(`Strava activity ${a.id} skipped: already uploaded as ${upload.strava_id} "${upload.name}"`);
+  return upload;
+}
+
 // ── Gear upsert ───────────────────────────────────────────────────────────────
+// A runner with 2,000 activities may have only a handful of shoes — fetch each
+// gear_id at most once per GEAR_TTL_MS instead of once per activity. A gear id
+// counts as fetched only once its row is written; callers arriving while the
+// fetch is in flight wait for it, so none of them stores an activity pointing
+// at a gear row that doesn't exist yet.
 
+const GEAR_TTL_MS = 6 * 60 * 60 * 1000;
+const gearFetchedAt = new Map();   // gear id → { at, athleteId }
+const gearInFlight  = new Map();   // gear id → Promise<boolean>
+
+// Resolves true when the gear row exists (fresh, or from an earlier fetch)
 async function upsertGear(athlete, gearId) {
+  const last = gearFetchedAt.get(gearId);
+  if (last && Date.now() - last.at < GEAR_TTL_MS) return true;
+  if (!gearInFlight.has(gearId)) {
+    gearInFlight.set(gearId, fetchGear(athlete, gearId).finally(() => gearInFlight.delete(gearId)));
+  }
+  return gearInFlight.get(gearId);
+}
+
+async function fetchGear(athlete, gearId) {
   try {
     const g = await stravaFetch(athlete, `/gear/${gearId}`);
     await query(`
@@ -181,35 +518,74 @@ async function upsertGear(athlete, gearId) {
       ON CONFLICT (strava_id) DO UPDATE SET
         name=EXCLUDED.name, retired=EXCLUDED.retired, distance_m=EXCLUDED.distance_m
     `, [g.id, athlete.strava_id, g.name, g.brand_name, g.model_name, g.distance, g.retired || false]);
+    gearFetchedAt.set(gearId, { at: Date.now(), athleteId: athlete.strava_id });
+    return true;
   } catch (e) {
     console.warn(`Could not fetch gear ${gearId}:`, e.message);
+    // An older row is still good enough to point at
+    return !!(await queryOne(`SELECT 1 FROM gear WHERE strava_id=$1`, [gearId]));
+  }
+}
+
+// Account deletion drops the gear rows; forget them here too so a re-joining
+// athlete's gear is fetched again
+function forgetGear(athleteId) {
+  for (const [gearId, v] of gearFetchedAt) {
+    if (String(v.athleteId) === String(athleteId)) gearFetchedAt.delete(gearId);
   }
 }
 
 // ── Streams (cached) ──────────────────────────────────────────────────────────
 
+// Bump STREAMS_VERSION whenever STREAM_KEYS grows: cached rows below it are
+// re-fetched once on next view (or in bulk via /api/admin/backfill-streams).
+const STREAM_KEYS = 'distance,altitude,time,velocity_smooth,heartrate,cadence,latlng,grade_smooth,moving,temp,watts';
+const STREAMS_VERSION = 2;
+
+// For page views, so a Strava fetch here is interactive (see stravaFetch)
 async function getStreams(athlete, activityId) {
   // Check cache first
   const cached = await queryOne(
     `SELECT * FROM streams WHERE activity_id=$1`, [activityId]
   );
-  if (cached) {
+  // Uploaded activities (negative IDs) have no Strava streams to upgrade from
+  if (cached && (cached.keys_version >= STREAMS_VERSION || Number(activityId) < 0)) {
     console.log(`Streams cache hit: ${activityId}`);
     return cached;
   }
+  if (cached) {
+    // Older row missing the newer keys — upgrade it, but keep serving what we
+    // have if Strava can't be reached right now
+    try {
+      return await refreshStreams(athlete, activityId, { interactive: true });
+    } catch (e) {
+      console.warn(`Streams upgrade failed for ${activityId}: ${e.message}`);
+      return cached;
+    }
+  }
+  return refreshStreams(athlete, activityId, { interactive: true });
+}
 
-  // Fetch from Strava
+// Fetch every stream key from Strava and write (or overwrite) the cache row.
+// opts.interactive is passed to stravaFetch.
+async function refreshStreams(athlete, activityId, opts = {}) {
   console.log(`Fetching streams from Strava: ${activityId}`);
   const data = await stravaFetch(athlete, `/activities/${activityId}/streams`, {
-    keys: 'distance,altitude,time,velocity_smooth,heartrate',
+    keys: STREAM_KEYS,
     key_by_type: 'true',
-  });
-
-  // Cache in DB
-  await query(`
-    INSERT INTO streams (activity_id, time_s, distance_m, altitude_m, velocity_ms, heartrate)
-    VALUES ($1,$2,$3,$4,$5,$6)
-    ON CONFLICT (activity_id) DO NOTHING
+  }, opts);
+
+  const row = await queryOne(`
+    INSERT INTO streams (activity_id, time_s, distance_m, altitude_m, velocity_ms, heartrate,
+                         cadence, latlng, grade_smooth, moving, temp, watts, keys_version, fetched_at)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,NOW())
+    ON CONFLICT (activity_id) DO UPDATE SET
+      time_s=EXCLUDED.time_s, distance_m=EXCLUDED.distance_m, altitude_m=EXCLUDED.altitude_m,
+      velocity_ms=EXCLUDED.velocity_ms, heartrate=EXCLUDED.heartrate,
+      cadence=EXCLUDED.cadence, latlng=EXCLUDED.latlng, grade_smooth=EXCLUDED.grade_smooth,
+      moving=EXCLUDED.moving, temp=EXCLUDED.temp, watts=EXCLUDED.watts,
+      keys_version=EXCLUDED.keys_version, fetched_at=NOW()
+    RETURNING *
   `, [
     activityId,
     JSON.stringify(data.time?.data || []),
@@ -217,15 +593,59 @@ async function getStreams(athlete, activityId) {
     JSON.stringify(data.altitude?.data || []),
     JSON.stringify(data.velocity_smooth?.data || []),
     JSON.stringify(data.heartrate?.data || null),
+    JSON.stringify(data.cadence?.data || null),
+    JSON.stringify(data.latlng?.data || null),
+    JSON.stringify(data.grade_smooth?.data || null),
+    JSON.stringify(data.moving?.data || null),
+    JSON.stringify(data.temp?.data || null),
+    JSON.stringify(data.watts?.data || null),
+    STREAMS_VERSION,
   ]);
+  // Decoupling, GAP, best efforts, time in zone and training load all come
+  // from the streams (server/derived.js). The keys are cleared first so a
+  // failed recompute is left for the derive job instead of looking current.
+  await query(`
+    UPDATE activities SET training_load_key=NULL, hr_zones_key=NULL, decoupling_v=NULL, gap_v=NULL,
+                          efforts_v=NULL
+    WHERE strava_id=$1
+  `, [activityId]);
+  await deriveStreams(athlete, activityId, row)
+    .catch(e => console.warn(`Derived values failed for ${activityId}: ${e.message}`));
+  return row;
+}
 
-  return {
-    time_s:     data.time?.data || [],
-    distance_m: data.distance?.data || [],
-    altitude_m: data.altitude?.data || [],
-    velocity_ms: data.velocity_smooth?.data || [],
-    heartrate:  data.heartrate?.data || null,
-  };
+// ── Laps ──────────────────────────────────────────────────────────────────────
+// Fetched once per activity and kept; activities.laps_fetched_at marks the
+// cache so an activity with no laps doesn't hit Strava on every view. Like
+// getStreams, only called for page views.
+async function getLaps(athlete, activityId) {
+  const act = await queryOne(
+    `SELECT laps_fetched_at FROM activities WHERE strava_id=$1`, [activityId]
+  );
+  // Uploaded activities (negative IDs) have no Strava laps
+  if (!act || act.laps_fetched_at || Number(activityId) < 0) {
+    return query(`SELECT * FROM laps WHERE activity_id=$1 ORDER BY lap_index`, [activityId]);
+  }
+
+  console.log(`Fetching laps from Strava: ${activityId}`);
+  const data = await stravaFetch(athlete, `/activities/${activityId}/laps`, {}, { interactive: true });
+  await query(`DELETE FROM laps WHERE activity_id=$1`, [activityId]);
+  for (const l of data || []) {
+    await query(`
+      INSERT INTO laps (activity_id, lap_index, name, start_index, end_index, distance_m,
+                        elapsed_time_s, moving_time_s, avg_speed_ms, avg_heartrate, max_heartrate,
+                        avg_cadence, avg_watts, elevation_gain_m)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+      ON CONFLICT (activity_id, lap_index) DO NOTHING
+    `, [
+      activityId, l.lap_index, l.name, l.start_index, l.end_index, l.distance,
+      l.elapsed_time, l.moving_time, l.average_speed, l.average_heartrate || null,
+      l.max_heartrate || null, l.average_cadence || null, l.average_watts || null,
+      l.total_elevation_gain ?? null,
+    ]);
+  }
+  await query(`UPDATE activities SET laps_fetched_at=NOW() WHERE strava_id=$1`, [activityId]);
+  return query(`SELECT * FROM laps WHERE activity_id=$1 ORDER BY lap_index`, [activityId]);
 }
 
 // ── Race matching ─────────────────────────────────────────────────────────────
@@ -250,6 +670,7 @@ async function findRaceMatches(athleteId) {
     FROM race_events re
     JOIN activities a ON (
       a.athlete_id = $1
+      AND a.sport = 'run'
       -- Date within ±7 days of race
       AND ABS(a.start_date_local::date - re.event_date) <= 2
       -- Distance within ±10%
@@ -264,4 +685,9 @@ async function findRaceMatches(athleteId) {
   return rows;
 }
 
-module.exports = { syncActivities, getStreams, stravaFetch, refreshTokenIfNeeded, findRaceMatches };
+module.exports = {
+  syncActivities, estimateSyncPages, reconcileActivities, upsertActivity,
+  getStreams, refreshStreams, STREAMS_VERSION, getLaps, stravaFetch,
+  refreshTokenIfNeeded, findRaceMatches, fetchWeather, getRateLimitStatus, RateLimitError, forgetGear,
+  DUP_WINDOW_S, DUP_DIST_FRAC,
+};
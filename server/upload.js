@@ -0,0 +1,317 @@
+// server/upload.js — Import GPX / TCX / FIT files as activities
+// For activities that never reached Strava (old watches, treadmill sessions, races
+// before joining). Files are parsed into track points, turned into the same
+// streams/summary shape Strava gives us, and stored with source='upload' and a
+// negative strava_id so syncs and reconciles never touch them. When the same
+// run later arrives from Strava, upsertActivity keeps the upload and skips it.
+const zlib = require('zlib');
+const { query, queryOne } = require('../db/client');
+const { fetchWeather, STREAMS_VERSION, DUP_WINDOW_S, DUP_DIST_FRAC } = require('./strava');
+const { sportOf, efficiencyScore } = require('./sports');
+const { parseFit, isFit } = require('./fit');
+const { deriveStreams } = require('./derived');
+
+const MOVING_MS = 0.5;       // slower than this counts as stopped
+const MAX_UNZIPPED_BYTES = 200 * 1024 * 1024;  // a 30 MB .gz could otherwise unpack to gigabytes
+
+class UploadError extends Error {
+  constructor(message, status = 400, extra = {}) {
+    super(message);
+    this.name   = 'UploadError';
+    this.status = status;
+    Object.assign(this, extra);
+  }
+}
+
+// ── Parsers ───────────────────────────────────────────────────────────────────
+// Each returns { name, type, points, localOffsetS } (type is Strava-style, e.g. 'Run') with points
+// { t (ms), lat, lng, alt, dist, hr, cad, temp, watts } — any field may be null.
+
+function tag(xml, name) {
+  const m = xml.match(new RegExp(`<(?:\\w+:)?${name}>([^<]*)</(?:\\w+:)?${name}>`));
+  return m ? m[1].trim() : null;
+}
+function num(v) {
+  if (v == null || v === '') return null;
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : null;
+}
+function unescapeXml(s) {
+  return s && s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+const GPX_TYPES = { running: 'Run', run: 'Run', '9': 'Run', cycling: 'Ride', biking: 'Ride', '1': 'Ride',
+  walking: 'Walk', '10': 'Walk', hiking: 'Hike', '4': 'Hike' };
+
+function parseGpx(xml) {
+  const trk = xml.match(/<trk\b[\s\S]*?<\/trk>/)?.[0] || xml;
+  const gpxType = tag(trk.replace(/<trkseg[\s\S]*/, ''), 'type');
+  const points = [];
+  for (const m of xml.matchAll(/<trkpt\b([^>]*)>([\s\S]*?)<\/trkpt>/g)) {
+    const attrs = m[1], body = m[2];
+    const time = tag(body, 'time');
+    if (!time) continue;
+    points.push({
+      t:   Date.parse(time),
+      lat: num(attrs.match(/lat="([^"]+)"/)?.[1]),
+      lng: num(attrs.match(/lon="([^"]+)"/)?.[1]),
+      alt: num(tag(body, 'ele')),
+      hr:  num(tag(body, 'hr')),
+      cad: num(tag(body, 'cad')),
+      temp: num(tag(body, 'atemp')),
+      watts: num(tag(body, 'power')),
+    });
+  }
+  return {
+    name:  unescapeXml(tag(trk.replace(/<trkseg[\s\S]*/, ''), 'name')),
+    type:  gpxType ? (GPX_TYPES[gpxType.toLowerCase()] || 'Workout') : null,
+    points,
+  };
+}
+
+const TCX_SPORTS = { Running: 'Run', Biking: 'Ride' };
+
+function parseTcx(xml) {
+  const sport = xml.match(/<Activity\b[^>]*Sport="([^"]+)"/)?.[1];
+  const points = [];
+  for (const m of xml.matchAll(/<Trackpoint>([\s\S]*?)<\/Trackpoint>/g)) {
+    const body = m[1];
+    const time = tag(body, 'Time');
+    if (!time) continue;
+    const hrBlock = body.match(/<HeartRateBpm[^>]*>([\s\S]*?)<\/HeartRateBpm>/)?.[1];
+    points.push({
+      t:    Date.parse(time),
+      lat:  num(tag(body, 'LatitudeDegrees')),
+      lng:  num(tag(body, 'LongitudeDegrees')),
+      alt:  num(tag(body, 'AltitudeMeters')),
+      dist: num(tag(body, 'DistanceMeters')),
+      hr:   hrBlock ? num(tag(hrBlock, 'Value')) : null,
+      cad:  num(tag(body, 'RunCadence')) ?? num(tag(body, 'Cadence')),
+      watts: num(tag(body, 'Watts')),
+    });
+  }
+  return {
+    name:  unescapeXml(tag(xml, 'Notes')),
+    type:  sport ? (TCX_SPORTS[sport] || 'Workout') : null,
+    points,
+  };
+}
+
+function gunzip(buf) {
+  try {
+    return zlib.gunzipSync(buf, { maxOutputLength: MAX_UNZIPPED_BYTES });
+  } catch (e) {
+    if (e.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new UploadError(`File unpacks to more than ${MAX_UNZIPPED_BYTES / 1024 / 1024} MB`, 413);
+    }
+    throw new UploadError(`Could not unzip the file: ${e.message}`);
+  }
+}
+
+// Work out the format from the bytes (extension is only a hint); .gz is unwrapped
+function parseActivityFile(buf, filename = '') {
+  if (buf[0] === 0x1F && buf[1] === 0x8B) buf = gunzip(buf);
+  if (isFit(buf)) {
+    // A truncated or corrupt file is the uploader's problem, not a server error
+    try {
+      return { format: 'fit', ...parseFit(buf) };
+    } catch (e) {
+      throw new UploadError(`Could not read the FIT file: ${e.message}`);
+    }
+  }
+
+  const text = buf.toString('utf8');
+  if (/<gpx\b/.test(text)) return { format: 'gpx', ...parseGpx(text) };
+  if (/<TrainingCenterDatabase\b/.test(text)) return { format: 'tcx', ...parseTcx(text) };
+  throw new UploadError(`Unrecognised file format${filename ? ` (${filename})` : ''} — expected GPX, TCX or FIT`);
+}
+
+// ── Streams + summary ─────────────────────────────────────────────────────────
+
+function haversineM(lat1, lng1, lat2, lng2) {
+  const R = 6371000, rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad, dLng = (lng2 - lng1) * rad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+// Elevation gain with a 2 m hysteresis so GPS altitude noise doesn't add up
+function elevationGain(alts) {
+  let gain = 0, ref = null;
+  for (const a of alts) {
+    if (a == null) continue;
+    if (ref == null || a < ref) ref = a;
+    else if (a - ref >= 2) { gain += a - ref; ref = a; }
+  }
+  return gain;
+}
+
+function buildActivity(points, sport = 'run') {
+  points = points.filter(p => Number.isFinite(p.t)).sort((a, b) => a.t - b.t);
+  // Drop repeated timestamps (some devices write two records per second)
+  points = points.filter((p, i) => i === 0 || p.t > points[i - 1].t);
+  if (points.length < 2) throw new UploadError('File has no track points with timestamps');
+
+  const t0 = points[0].t;
+  const time_s = points.map(p => Math.round((p.t - t0) / 1000));
+
+  // Prefer the device's own distance (treadmills/footpods have no GPS); fall back to GPS
+  const hasDeviceDist = points.some(p => p.dist != null);
+  const distance_m = [];
+  let d = 0, prev = null;
+  for (const p of points) {
+    if (hasDeviceDist) {
+      if (p.dist != null) d = Math.max(d, p.dist);
+    } else if (p.lat != null && p.lng != null) {
+      if (prev) d += haversineM(prev.lat, prev.lng, p.lat, p.lng);
+      prev = p;
+    }
+    distance_m.push(d);
+  }
+  if (d < 10) throw new UploadError('File has no distance or GPS data');
+
+  // Speed over a ±2-sample window, like Strava's velocity_smooth
+  const n = points.length;
+  const velocity_ms = points.map((_, i) => {
+    const a = Math.max(0, i - 2), b = Math.min(n - 1, i + 2);
+    const dt = time_s[b] - time_s[a];
+    return dt > 0 ? Math.round((distance_m[b] - distance_m[a]) / dt * 1000) / 1000 : 0;
+  });
+  const moving = velocity_ms.map(v => v >= MOVING_MS);
+
+  let movingTime = 0;
+  for (let i = 1; i < n; i++) {
+    const dt = time_s[i] - time_s[i - 1];
+    if (dt > 0 && (distance_m[i] - distance_m[i - 1]) / dt >= MOVING_MS) movingTime += dt;
+  }
+
+  const col = key => points.some(p => p[key] != null) ? points.map(p => p[key] ?? null) : null;
+  const hr   = col('hr');
+  const hrs  = hr ? hr.filter(v => v > 0) : [];
+  const lat  = points.find(p => p.lat != null && p.lng != null);
+  const altitude_m = col('alt');
+
+  const avgSpeed = movingTime > 0 ? d / movingTime : null;
+  const avgHr    = hrs.length ? hrs.reduce((s, v) => s + v, 0) / hrs.length : null;
+  const watts    = col('watts');
+  const ws       = watts ? watts.filter(v => v != null) : [];
+  const avgWatts = ws.length ? Math.round(ws.reduce((s, v) => s + v, 0) / ws.length) : null;
+  const elevGain = altitude_m ? Math.round(elevationGain(altitude_m) * 10) / 10 : null;
+
+  return {
+    streams: {
+      time_s, distance_m, velocity_ms, moving,
+      altitude_m: altitude_m || [],
+      heartrate:  hr,
+      cadence:    col('cad'),
+      latlng:     points.some(p => p.lat != null) ? points.map(p => p.lat != null ? [p.lat, p.lng] : null) : null,
+      temp:       col('temp'),
+      watts,
+    },
+    summary: {
+      start:           new Date(t0),
+      distance_m:      d,
+      moving_time_s:   movingTime,
+      elapsed_time_s:  time_s[n - 1],
+      avg_speed_ms:    avgSpeed,
+      avg_heartrate:   avgHr != null ? Math.round(avgHr * 10) / 10 : null,
+      max_heartrate:   hrs.length ? Math.max(...hrs) : null,
+      has_heartrate:   hrs.length > 0,
+      total_elevation_m: elevGain,
+      avg_watts:       avgWatts,
+      start_lat:       lat?.lat ?? null,
+      start_lng:       lat?.lng ?? null,
+      ae_score:        efficiencyScore(sport, {
+        speedMs: avgSpeed, avgHr, avgWatts, elevGainM: elevGain, movingTimeS: movingTime,
+      }),
+    },
+  };
+}
+
+// ── Save ──────────────────────────────────────────────────────────────────────
+// opts: { filename, name, tzOffsetMin } — tzOffsetMin (minutes east of UTC) is
+// used for start_date_local when the file itself doesn't say (GPX/TCX).
+async function importActivityFile(athlete, buf, opts = {}) {
+  const parsed = parseActivityFile(buf, opts.filename);
+  const type  = parsed.type || 'Run';  // Strava-style type; files without one are assumed runs
+  const sport = sportOf({ type, sport_type: type });
+
+  const { streams, summary } = buildActivity(parsed.points, sport);
+
+  const offsetS = parsed.localOffsetS ?? (Number.isFinite(opts.tzOffsetMin) ? opts.tzOffsetMin * 60 : 0);
+  const startLocal = new Date(summary.start.getTime() + offsetS * 1000);
+
+  // Same run already here (synced from Strava, or this file uploaded before)?
+  const dup = await queryOne(`
+    SELECT strava_id, name, source FROM activities
+    WHERE athlete_id=$1
+      AND ABS(EXTRACT(EPOCH FROM (start_date - $2::timestamptz))) <= $3
+      AND ABS(distance_m - $4) <= $4 * $5
+    LIMIT 1
+  `, [athlete.strava_id, summary.start, DUP_WINDOW_S, summary.distance_m, DUP_DIST_FRAC]);
+  if (dup) {
+    throw new UploadError(`Already have this activity: "${dup.name}" (${dup.source})`, 409, { existingId: dup.strava_id });
+  }
+
+  const fileBase = opts.filename?.replace(/\.gz$/i, '').replace(/\.\w+$/, '');
+  const name = opts.name || parsed.name || fileBase || `Uploaded ${type.toLowerCase()}`;
+
+  const { temp_c, humidity_pct } = await fetchWeather(summary.start_lat, summary.start_lng, startLocal.toISOString());
+
+  const { id } = await queryOne(`SELECT -nextval('upload_activity_seq') AS id`);
+  await query(`
+    INSERT INTO activities (
+      strava_id, athlete_id, name, distance_m, moving_time_s, elapsed_time_s,
+      start_date, start_date_local, activity_type, sport_type, workout_type,
+      avg_heartrate, max_heartrate, avg_speed_ms, total_elevation_m,
+      has_heartrate, ae_score, start_lat, start_lng, temp_c, humidity_pct, source,
+      sport, avg_watts
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$19,$19,0,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,'upload',$20,$21)
+  `, [
+    id, athlete.strava_id, name.slice(0, 300),
+    summary.distance_m, summary.moving_time_s, summary.elapsed_time_s,
+    summary.start, startLocal,
+    summary.avg_heartrate, summary.max_heartrate, summary.avg_speed_ms, summary.total_elevation_m,
+    summary.has_heartrate, summary.ae_score,
+    summary.start_lat, summary.start_lng, temp_c, humidity_pct,
+    type, sport, summary.avg_watts,
+  ]);
+
+  try {
+    await query(`
+      INSERT INTO streams (activity_id, time_s, distance_m, altitude_m, velocity_ms, heartrate,
+                           cadence, latlng, moving, temp, watts, keys_version)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+    `, [
+      id,
+      JSON.stringify(streams.time_s),
+      JSON.stringify(streams.distance_m),
+      JSON.stringify(streams.altitude_m),
+      JSON.stringify(streams.velocity_ms),
+      JSON.stringify(streams.heartrate),
+      JSON.stringify(streams.cadence),
+      JSON.stringify(streams.latlng),
+      JSON.stringify(streams.moving),
+      JSON.stringify(streams.temp),
+      JSON.stringify(streams.watts),
+      STREAMS_VERSION,
+    ]);
+  } catch (e) {
+    // Don't leave an activity behind that can never load its charts
+    await query(`DELETE FROM activities WHERE strava_id=$1`, [id]);
+    throw e;
+  }
+  // The row went in with empty keys, so a failure here is left for the derive job
+  await deriveStreams(athlete, id, streams)
+    .catch(e => console.warn(`Derived values failed for ${id}: ${e.message}`));
+
+  console.log(`Upload: ${parsed.format} "${name}" (${(summary.distance_m / 1000).toFixed(2)} km) → ${id} for ${athlete.strava_id}`);
+  return {
+    id, name, sport, format: parsed.format,
+    start_date: summary.start, distance_m: summary.distance_m,
+    moving_time_s: summary.moving_time_s, ae_score: summary.ae_score,
+  };
+}
+
+module.exports = { importActivityFile, parseActivityFile, buildActivity, UploadError };
@@ -0,0 +1,105 @@
+// server/webhook.js — Strava push subscription (webhook) receiver
+// Strava POSTs one small event per change; we answer 200 right away and
+// process events one at a time in the background so a slow Strava/Open-Meteo
+// call never makes Strava retry the delivery.
+//
+// Event shape (https://developers.strava.com/docs/webhooks/):
+//   { object_type: 'activity'|'athlete', object_id, aspect_type: 'create'|'update'|'delete',
+//     owner_id, subscription_id, event_time, updates: { title, type, private, authorized } }
+const { query, queryOne } = require('../db/client');
+const { stravaFetch, upsertActivity } = require('./strava');
+const { deleteAthleteData } = require('./account');
+const { queueDerive } = require('./jobs');
+const { rebuildRecords } = require('./efforts');
+
+// ── Subscription handshake ────────────────────────────────────────────────────
+// Strava calls GET callback_url?hub.mode=subscribe&hub.verify_token=…&hub.challenge=…
+// when the subscription is created and expects the challenge echoed back.
+function verifySubscription(q) {
+  const expected = process.env.STRAVA_WEBHOOK_VERIFY_TOKEN;
+  if (!expected) return null;
+  if (q['hub.mode'] !== 'subscribe' || q['hub.verify_token'] !== expected) return null;
+  return { 'hub.challenge': q['hub.challenge'] };
+}
+
+// ── Event queue ───────────────────────────────────────────────────────────────
+const queue = [];
+let draining = false;
+
+function enqueueEvent(event) {
+  const subId = process.env.STRAVA_WEBHOOK_SUBSCRIPTION_ID;
+  if (subId && String(event.subscription_id) !== String(subId)) {
+    console.warn(`Webhook: ignoring event for subscription ${event.subscription_id}`);
+    return false;
+  }
+  queue.push(event);
+  drain();
+  return true;
+}
+
+async function drain() {
+  if (draining) return;
+  draining = true;
+  while (queue.length) {
+    const event = queue.shift();
+    try {
+      await handleEvent(event);
+    } catch (e) {
+      console.error(`Webhook ${event.object_type}/${event.aspect_type} ${event.object_id} failed:`, e.message);
+    }
+  }
+  draining = false;
+}
+
+// ── Event handlers ────────────────────────────────────────────────────────────
+
+async function handleEvent(event) {
+  const athlete = await queryOne(`SELECT * FROM athletes WHERE strava_id=$1`, [event.owner_id]);
+  if (!athlete) {
+    console.log(`Webhook: unknown athlete ${event.owner_id}, skipping`);
+    return;
+  }
+
+  if (event.object_type === 'athlete') {
+    // The only athlete event Strava sends is a deauthorization
+    if (event.updates?.authorized === 'false') await deauthorizeAthlete(athlete);
+    return;
+  }
+  if (event.object_type !== 'activity') return;
+
+  if (event.aspect_type === 'delete') {
+    await deleteActivity(athlete, event.object_id);
+  } else {
+    await refreshActivity(athlete, event.object_id);
+  }
+}
+
+// create/update — pull the full activity and run it through the normal upsert;
+// its training load (and any edit's stale values) go to a derive job
+async function refreshActivity(athlete, activityId) {
+  const a = await stravaFetch(athlete, `/activities/${activityId}`);
+  if (!await upsertActivity(athlete, a)) return;
+  await queueDerive(athlete);
+  console.log(`Webhook: upserted activity ${activityId} for ${athlete.strava_id}`);
+}
+
+// Streams rows and best efforts go with the activity via ON DELETE CASCADE;
+// the PR history is rebuilt in case the run held a PR
+async function deleteActivity(athlete, activityId) {
+  const rows = await query(
+    `DELETE FROM activities WHERE strava_id=$1 AND athlete_id=$2 RETURNING strava_id`,
+    [activityId, athlete.strava_id]
+  );
+  if (!rows.length) return;
+  await rebuildRecords(athlete.strava_id);
+  console.log(`Webhook: deleted activity ${activityId} for ${athlete.strava_id}`);
+}
+
+// Strava's API agreement requires dropping an athlete's data once they revoke
+// access — same cleanup as self-service account deletion, minus the revoke.
+async function deauthorizeAthlete(athlete) {
+  await deleteAthleteData(athlete.strava_id);
+  console.log(`Webhook: athlete ${athlete.strava_id} deauthorized — data removed`);
+}
+
+module.exports = { verifySubscription, enqueueEvent, handleEvent };
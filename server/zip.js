@@ -0,0 +1,105 @@
+// server/zip.js — Streaming ZIP writer (deflate, no dependencies)
+// Each file is compressed and written to the output as soon as it's added, so
+// only the central directory is held in memory — an account archive with
+// thousands of GPX files never has to fit in RAM at once. No ZIP64: entries
+// and the archive must stay under 4 GB, which an account never approaches.
+//
+// Format: https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+const zlib = require('zlib');
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date/time as stored in ZIP headers (local time, 2-second resolution)
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+class ZipWriter {
+  // out: any writable stream (an Express response, a file stream)
+  constructor(out) {
+    this.out = out;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  async write(buf) {
+    this.offset += buf.length;
+    if (!this.out.write(buf)) await new Promise(r => this.out.once('drain', r));
+  }
+
+  // data: string or Buffer
+  async add(name, data, mtime = new Date()) {
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const body = zlib.deflateRawSync(raw);
+    const nameBuf = Buffer.from(name, 'utf8');
+    const { time, date } = dosDateTime(mtime);
+    const crc = crc32(raw);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);  // local file header signature
+    header.writeUInt16LE(20, 4);          // version needed (2.0, deflate)
+    header.writeUInt16LE(0x0800, 6);      // flags: UTF-8 names
+    header.writeUInt16LE(8, 8);           // method: deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(body.length, 18);
+    header.writeUInt32LE(raw.length, 22);
+    header.writeUInt16LE(nameBuf.length, 26);
+    header.writeUInt16LE(0, 28);          // extra field length
+
+    this.entries.push({ nameBuf, time, date, crc, compressed: body.length, size: raw.length, offset: this.offset });
+    await this.write(header);
+    await this.write(nameBuf);
+    await this.write(body);
+  }
+
+  // Writes the central directory; the caller ends the output stream
+  async finish() {
+    const start = this.offset;
+    for (const e of this.entries) {
+      const h = Buffer.alloc(46);
+      h.writeUInt32LE(0x02014b50, 0);  // central directory header signature
+      h.writeUInt16LE(20, 4);          // version made by
+      h.writeUInt16LE(20, 6);          // version needed
+      h.writeUInt16LE(0x0800, 8);
+      h.writeUInt16LE(8, 10);
+      h.writeUInt16LE(e.time, 12);
+      h.writeUInt16LE(e.date, 14);
+      h.writeUInt32LE(e.crc, 16);
+      h.writeUInt32LE(e.compressed, 20);
+      h.writeUInt32LE(e.size, 24);
+      h.writeUInt16LE(e.nameBuf.length, 28);
+      // extra, comment, disk number, internal/external attributes all zero
+      h.writeUInt32LE(e.offset, 42);
+      await this.write(h);
+      await this.write(e.nameBuf);
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);  // end of central directory signature
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this.write(end);
+  }
+}
+
+module.exports = { ZipWriter, crc32 };
@@ -0,0 +1,163 @@
+// server/zones.js — Heart-rate settings, zones and time-in-zone
+// Athletes can set max, resting and threshold HR (athletes.max_hr etc.); any
+// left blank gets a default:
+//   max        age-predicted (Tanaka 208 − 0.7·age; Gulati 206 − 0.88·age for
+//              women), raised to the highest max HR actually recorded — a
+//              formula that undershoots real data is simply wrong for you
+//   resting    60
+//   threshold  resting + 85% of HR reserve (≈ lactate threshold HR)
+// Zones are fractions of threshold HR (Friel's five running zones, rounded).
+const { query, queryOne } = require('../db/client');
+
+const DEFAULT_REST_HR = 60;
+const DEFAULT_MAX_HR  = 190;
+const MAX_GAP_S = 30;   // longer gaps between HR samples are pauses, not effort
+
+const ZONES = [
+  { zone: 1, name: 'Recovery',  from: 0    },
+  { zone: 2, name: 'Aerobic',   from: 0.81 },
+  { zone: 3, name: 'Tempo',     from: 0.90 },
+  { zone: 4, name: 'Threshold', from: 0.94 },
+  { zone: 5, name: 'VO2max',    from: 1.00 },
+];
+
+// Bump when ZONES or the time-in-zone method changes so stored totals are recomputed
+const ZONES_VERSION = 1;
+
+// ── Settings ──────────────────────────────────────────────────────────────────
+
+function ageOn(birthdate, at = new Date()) {
+  if (!birthdate) return null;
+  return (at.getTime() - new Date(birthdate).getTime()) / (365.25 * 86400000);
+}
+
+// Highest recorded max HR, ignoring strap spikes over 225
+async function observedMaxHr(athleteId) {
+  const row = await queryOne(`
+    SELECT MAX(max_heartrate) AS max_hr FROM activities
+    WHERE athlete_id=$1 AND max_heartrate BETWEEN 100 AND 225
+  `, [athleteId]);
+  return row?.max_hr ? Math.round(row.max_hr) : null;
+}
+
+// Pure part of getHrSettings — also used to show defaults next to the inputs
+function resolveHrSettings(athlete, observedMax = null) {
+  const age = ageOn(athlete.birthdate);
+  const predicted = age != null
+    ? Math.round(athlete.sex === 'F' ? 206 - 0.88 * age : 208 - 0.7 * age)
+    : null;
+  const defaultMax = Math.max(predicted || 0, observedMax || 0) || DEFAULT_MAX_HR;
+
+  const maxHr  = athlete.max_hr || defaultMax;
+  const restHr = athlete.resting_hr || DEFAULT_REST_HR;
+  const defaultThreshold = Math.round(restHr + 0.85 * (maxHr - restHr));
+  return {
+    maxHr, restHr,
+    thresholdHr: athlete.threshold_hr || defaultThreshold,
+    defaults: { maxHr: defaultMax, restHr: DEFAULT_REST_HR, thresholdHr: defaultThreshold },
+    custom:   { maxHr: !!athlete.max_hr, restHr: !!athlete.resting_hr, thresholdHr: !!athlete.threshold_hr },
+  };
+}
+
+async function getHrSettings(athlete) {
+  return resolveHrSettings(athlete, await observedMaxHr(athlete.strava_id));
+}
+
+// Validates a partial { max_hr, resting_hr, threshold_hr } update; blank or
+// null clears a field back to its default. Fields left out keep the athlete's
+// stored value, and the cross-field checks run on that merged result.
+// Returns { values } (only the fields sent) or { error }.
+function parseHrSettings(body, athlete = {}) {
+  const values = {};
+  for (const k of ['max_hr', 'resting_hr', 'threshold_hr']) {
+    if (!(k in body)) continue;
+    const v = body[k];
+    if (v == null || v === '') { values[k] = null; continue; }
+    const n = parseInt(v);
+    if (!(n >= 30 && n <= 240)) return { error: `${k} must be between 30 and 240 bpm` };
+    values[k] = n;
+  }
+  const { max_hr: mx, resting_hr: rest, threshold_hr: th } = {
+    max_hr: athlete.max_hr, resting_hr: athlete.resting_hr, threshold_hr: athlete.threshold_hr, ...values,
+  };
+  if (mx && rest && rest >= mx) return { error: 'Resting HR must be below max HR' };
+  if (mx && th && th > mx) return { error: 'Threshold HR cannot exceed max HR' };
+  return { values };
+}
+
+// ── Zones ─────────────────────────────────────────────────────────────────────
+
+// [{ zone, name, min, max }] in bpm; Z1 starts at 0, Z5 has no upper bound
+function zoneBounds(settings) {
+  return ZONES.map((z, i) => ({
+    zone: z.zone,
+    name: z.name,
+    min:  Math.round(z.from * settings.thresholdHr),
+    max:  i < ZONES.length - 1 ? Math.round(ZONES[i + 1].from * settings.thresholdHr) - 1 : null,
+  }));
+}
+
+function zoneOf(hr, bounds) {
+  for (let i = bounds.length - 1; i >= 0; i--) if (hr >= bounds[i].min) return i;
+  return 0;
+}
+
+// Seconds in each zone from an HR stream; paused time (moving=false) and
+// sample gaps over MAX_GAP_S don't count
+function timeInZones(streams, bounds) {
+  const hr = streams.heartrate, t = streams.time_s, moving = streams.moving;
+  if (!Array.isArray(hr) || !hr.some(v => v > 0) || !Array.isArray(t)) return null;
+  const secs = bounds.map(() => 0);
+  for (let i = 1; i < hr.length; i++) {
+    const dt = t[i] - t[i - 1];
+    if (!(dt > 0) || dt > MAX_GAP_S || !(hr[i] > 0)) continue;
+    if (Array.isArray(moving) && moving[i] === false) continue;
+    secs[zoneOf(hr[i], bounds)] += dt;
+  }
+  return secs;
+}
+
+// Stored activities.hr_zone_s is only valid for the bounds it was computed
+// with (server/derived.js keeps it current)
+function zonesKey(bounds) {
+  return `${ZONES_VERSION}:${bounds.map(b => b.min).join(',')}`;
+}
+
+// Per-week totals (weeks start Monday, on start_date_local) for the last
+// `weeks` weeks, plus how many activities in each week had no HR stream
+async function weeklyZoneTotals(athlete, { weeks = 12, sport = null } = {}) {
+  const settings = await getHrSettings(athlete);
+  const bounds = zoneBounds(settings);
+
+  const rows = await query(`
+    SELECT to_char(date_trunc('week', a.start_date_local AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS week,
+           a.hr_zone_s
+    FROM activities a
+    WHERE a.athlete_id=$1
+      AND a.start_date_local >= date_trunc('week', NOW() AT TIME ZONE 'UTC') - ($2::int - 1) * INTERVAL '1 week'
+      AND ($3::text IS NULL OR a.sport = $3)
+    ORDER BY week
+  `, [athlete.strava_id, weeks, sport]);
+
+  // Every week in the window, including empty ones
+  const byWeek = new Map();
+  const now = new Date();
+  const monday = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - (now.getUTCDay() + 6) % 7);
+  for (let i = weeks - 1; i >= 0; i--) {
+    const week = new Date(monday - i * 7 * 86400000).toISOString().slice(0, 10);
+    byWeek.set(week, { week, seconds: bounds.map(() => 0), activities: 0, without_hr: 0 });
+  }
+  for (const r of rows) {
+    const w = byWeek.get(r.week);
+    if (!w) continue;
+    w.activities++;
+    if (Array.isArray(r.hr_zone_s)) r.hr_zone_s.forEach((s, i) => { w.seconds[i] += s; });
+    else w.without_hr++;
+  }
+  return { settings, zones: bounds, weeks: [...byWeek.values()] };
+}
+
+module.exports = {
+  ZONES, getHrSettings, resolveHrSettings, parseHrSettings, zoneBounds,
+  timeInZones, zonesKey, weeklyZoneTotals,
+};
@@ -0,0 +1,134 @@
+// simulate-webhook.js
+// Local stand-in for Strava's push subscription service.
+//
+// It serves a tiny fake Strava API (GET /api/v3/activities/:id, /gear/:id) and
+// POSTs Strava-shaped webhook events to the running app, so the webhook flow can
+// be exercised end to end without a public callback URL.
+//
+// Usage:
+//   STRAVA_BASE=http://localhost:4001/api/v3 npm run dev        # in one terminal
+//   node simulate-webhook.js handshake
+//   node simulate-webhook.js create <athleteId> [activityId]
+//   node simulate-webhook.js update <athleteId> <activityId> [newTitle]
+//   node simulate-webhook.js delete <athleteId> <activityId>
+//   node simulate-webhook.js deauth <athleteId>
+//
+// APP_URL (default http://localhost:3000) and STUB_PORT (default 4001) can be overridden.
+
+require('dotenv').config();
+const http  = require('http');
+const fetch = require('node-fetch');
+
+const APP_URL   = process.env.APP_URL || 'http://localhost:3000';
+const STUB_PORT = parseInt(process.env.STUB_PORT || '4001');
+const SUB_ID    = parseInt(process.env.STRAVA_WEBHOOK_SUBSCRIPTION_ID || '1');
+
+// ── Fake activity, shaped like Strava's DetailedActivity ──────────────────────
+function fakeActivity(id, athleteId, title) {
+  const start = new Date(Date.now() - 2 * 3600 * 1000);
+  return {
+    id: Number(id),
+    athlete: { id: Number(athleteId) },
+    name: title || 'Simulated Morning Run',
+    distance: 10012.4,
+    moving_time: 3120,
+    elapsed_time: 3185,
+    total_elevation_gain: 42,
+    type: 'Run',
+    sport_type: 'Run',
+    workout_type: 0,
+    start_date: start.toISOString(),
+    start_date_local: start.toISOString(),
+    start_latlng: [18.4655, -66.1057],
+    average_speed: 3.209,
+    average_heartrate: 152.3,
+    max_heartrate: 171,
+    has_heartrate: true,
+    gear_id: null,
+    map: { summary_polyline: '' },
+  };
+}
+
+let lastTitle = null;
+let lastAthlete = null;
+
+function startStub() {
+  const server = http.createServer((req, res) => {
+    const m = req.url.match(/^\/api\/v3\/activities\/(\d+)/);
+    if (req.method === 'GET' && m) {
+      console.log(`  stub ← GET ${req.url}`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(fakeActivity(m[1], lastAthlete, lastTitle)));
+    }
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: 'Record Not Found' }));
+  });
+  return new Promise(resolve => server.listen(STUB_PORT, () => resolve(server)));
+}
+
+async function postEvent(event) {
+  console.log(`→ POST ${APP_URL}/api/strava/webhook`, JSON.stringify(event));
+  const res = await fetch(`${APP_URL}/api/strava/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(event),
+  });
+  console.log(`← ${res.status} ${await res.text()}`);
+}
+
+function event(objectType, aspect, objectId, ownerId, updates = {}) {
+  return {
+    object_type:     objectType,
+    object_id:       Number(objectId),
+    aspect_type:     aspect,
+    owner_id:        Number(ownerId),
+    subscription_id: SUB_ID,
+    event_time:      Math.floor(Date.now() / 1000),
+    updates,
+  };
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+async function main() {
+  const [cmd, athleteId, activityId, title] = process.argv.slice(2);
+
+  if (cmd === 'handshake') {
+    const params = new URLSearchParams({
+      'hub.mode': 'subscribe',
+      'hub.verify_token': process.env.STRAVA_WEBHOOK_VERIFY_TOKEN || '',
+      'hub.challenge': 'stub-challenge-123',
+    });
+    const res = await fetch(`${APP_URL}/api/strava/webhook?${params}`);
+    console.log(`← ${res.status} ${await res.text()}`);
+    return;
+  }
+
+  if (!athleteId) throw new Error('athleteId is required (see usage at top of file)');
+  lastAthlete = athleteId;
+  lastTitle   = title || null;
+
+  const stub = await startStub();
+  console.log(`Fake Strava API on http://localhost:${STUB_PORT}/api/v3`);
+
+  if (cmd === 'create') {
+    const id = activityId || String(Date.now()).slice(-10);
+    await postEvent(event('activity', 'create', id, athleteId));
+  } else if (cmd === 'update') {
+    await postEvent(event('activity', 'update', activityId, athleteId, { title: title || 'Renamed run' }));
+  } else if (cmd === 'delete') {
+    await postEvent(event('activity', 'delete', activityId, athleteId));
+  } else if (cmd === 'deauth') {
+    await postEvent(event('athlete', 'update', athleteId, athleteId, { authorized: 'false' }));
+  } else {
+    throw new Error(`Unknown command: ${cmd}`);
+  }
+
+  // Give the app a moment to call back into the stub before shutting it down
+  await new Promise(r => setTimeout(r, 3000));
+  stub.close();
+}
+
+main().catch(err => {
+  console.error('Fatal:', err.message);
+  process.exit(1);
+});